@@ -44,10 +44,134 @@ const App = (() => {
             });
             return res.json();
         },
+        async getEngineContext(employeeId, start, end) {
+            const res = await fetch(`/api/employees/${employeeId}/context?start=${start}&end=${end}`);
+            return res.json();
+        },
         async getAllEntries(start, end) {
             const res = await fetch(`/api/entries/all?start=${start}&end=${end}`);
             return res.json();
         },
+        async getRuleSets() {
+            const res = await fetch('/api/rules');
+            return res.json();
+        },
+        async saveRuleSet(ruleSet) {
+            const res = await fetch(ruleSet.id ? `/api/rules/${ruleSet.id}` : '/api/rules', {
+                method: ruleSet.id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(ruleSet)
+            });
+            return res.json();
+        },
+        async deleteRuleSet(id) {
+            const res = await fetch(`/api/rules/${id}`, { method: 'DELETE' });
+            return res.json();
+        },
+        async getHistory(employeeId, date = null) {
+            const res = await fetch(`/api/employees/${employeeId}/history${date ? `?date=${date}` : ''}`);
+            return res.json();
+        },
+        async revertChange(id) {
+            const res = await fetch(`/api/history/${id}/revert`, { method: 'POST' });
+            return res.json();
+        },
+        async getComments(employeeId, start, end) {
+            const res = await fetch(`/api/employees/${employeeId}/comments?start=${start}&end=${end}`);
+            return res.json();
+        },
+        async reportError(employeeId, date, message) {
+            const res = await fetch(`/api/employees/${employeeId}/comments`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ date, message })
+            });
+            return res.json();
+        },
+        async resolveComment(id) {
+            const res = await fetch(`/api/comments/${id}/resolve`, { method: 'POST' });
+            return res.json();
+        },
+        async setEmployeePin(id, pin) {
+            const res = await fetch(`/api/employees/${id}/pin`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pin })
+            });
+            return res.json();
+        },
+        async getPunches(start, end) {
+            const res = await fetch(`/api/clock/punches?start=${start}&end=${end}`);
+            return res.json();
+        },
+        async savePunch(punch) {
+            const res = await fetch(punch.id ? `/api/clock/punches/${punch.id}` : '/api/clock/punches', {
+                method: punch.id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(punch)
+            });
+            return res.json();
+        },
+        async applyPunches(employeeId, date) {
+            const res = await fetch('/api/clock/punches/apply', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ employee_id: employeeId, date })
+            });
+            return res.json();
+        },
+        async deletePunch(id) {
+            const res = await fetch(`/api/clock/punches/${id}`, { method: 'DELETE' });
+            return res.json();
+        },
+        async getEmployeeClosings(employeeId) {
+            const res = await fetch(`/api/employees/${employeeId}/closings`);
+            return res.json();
+        },
+        async getClosings(month) {
+            const res = await fetch(`/api/closings?month=${month}`);
+            return res.json();
+        },
+        async closeMonth(month, employeeId = null) {
+            const res = await fetch('/api/closings', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ month, employee_id: employeeId })
+            });
+            return res.json();
+        },
+        async reopenClosing(id, reason) {
+            const res = await fetch(`/api/closings/${id}/reopen`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason })
+            });
+            return res.json();
+        },
+        async getUsers() {
+            const res = await fetch('/api/users');
+            return res.json();
+        },
+        async saveUser(user) {
+            const res = await fetch(user.id ? `/api/users/${user.id}` : '/api/users', {
+                method: user.id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(user)
+            });
+            return res.json();
+        },
+        async deleteUser(id) {
+            const res = await fetch(`/api/users/${id}`, { method: 'DELETE' });
+            return res.json();
+        },
+        async changePassword(currentPassword, newPassword) {
+            const res = await fetch('/api/auth/password', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+            return res.json();
+        },
         async getSettings() {
             const res = await fetch('/api/settings');
             return res.json();
@@ -73,14 +197,25 @@ const App = (() => {
         currentEmployeeId: null,
         mergedView: false,
         entries: [],
+        engineContext: {},
+        comments: [], // errors reported by the employee on the days of the period
+        closedMonths: [], // 'YYYY-MM' months closed for the employee (read-only days)
         dateRange: { start: null, end: null },
         grossMonthlySalary: 0,
         contractBase: 35,
+        schedule: { mode: 'weekly', cycleWeeks: 4, anchor: null, forfaitDays: 218 },
+        holidayCalendar: 'national',
+        birthDate: null,
+        premiumRates: {}, // individual rates, keyed by employees column (null = CCN rate)
+        classification: null, // 'niveau-échelon' of the salary grid
+        hireDate: null,
+        exitDate: null,
         currentResults: null,
         quickMode: false,
         quickTemplate: { start: '10:00', end: '19:00', breakDuration: 60 },
         viewMode: 'list',
         theme: 'dark',
+        user: null, // signed-in account { id, username, role, mustChangePassword }, null without auth
         currentWeekIndex: 0,
         saving: false
     };
@@ -133,6 +268,7 @@ const App = (() => {
         try {
             const authRes = await fetch('/api/auth/status');
             const auth = await authRes.json();
+            state.user = auth.authEnabled ? auth.user : null;
             const logoutBtn = document.getElementById('btn-logout');
             if (logoutBtn && auth.authEnabled) {
                 logoutBtn.style.display = '';
@@ -149,17 +285,31 @@ const App = (() => {
         try {
             const settings = await API.getSettings();
             if (settings.theme) state.theme = settings.theme;
+            FrenchRules.configure(settings);
         } catch (e) {
             console.warn('Failed to load settings:', e);
         }
 
+        // Load effective-dated rule sets
+        try {
+            const ruleSets = await API.getRuleSets();
+            if (Array.isArray(ruleSets)) FrenchRules.setRuleSets(ruleSets);
+        } catch (e) {
+            console.warn('Failed to load rule sets:', e);
+        }
+
         applyTheme();
         populateMonthPicker();
         setupDateRange('month');
         setupEventListeners();
+        applyRolePermissions();
+        updatePremiumRateInputs();
+        updateClassificationSelect();
+        if (state.user && state.user.mustChangePassword) openPasswordModal(true);
 
         // Load employees
         await refreshEmployeeList();
+        if (currentRole() === 'employee' && state.user.employeeId) await selectEmployee(state.user.employeeId);
 
         // Load shared data if present
         loadSharedData();
@@ -279,7 +429,11 @@ const App = (() => {
                 await selectEmployee(id);
             } else {
                 state.currentEmployeeId = null;
+                state.engineContext = {};
+                state.closedMonths = [];
                 document.getElementById('btn-delete-employee').style.display = 'none';
+                document.getElementById('btn-employee-history').style.display = 'none';
+                document.getElementById('btn-employee-pin').style.display = 'none';
                 initEntries();
             }
         });
@@ -317,8 +471,14 @@ const App = (() => {
             if (!emp) return;
             if (!confirm(`Supprimer ${emp.name} et toutes ses heures ?`)) return;
             try {
-                await API.deleteEmployee(state.currentEmployeeId);
+                const result = await API.deleteEmployee(state.currentEmployeeId);
+                if (result.error) {
+                    showToast(result.error, 'error');
+                    return;
+                }
                 state.currentEmployeeId = null;
+                state.engineContext = {};
+                state.closedMonths = [];
                 await refreshEmployeeList();
                 initEntries();
                 showToast(`${emp.name} supprimé`, 'info');
@@ -332,7 +492,7 @@ const App = (() => {
             if (state.saving) return;
             if (state.currentEmployeeId) {
                 // Try to auto-save any entered values before merging
-                const toSave = state.entries.filter(e => e.start || e.end || e.breakDuration);
+                const toSave = getEntriesToSave();
                 if (toSave.length > 0) {
                     try {
                         await API.saveEntries(state.currentEmployeeId, toSave);
@@ -364,14 +524,104 @@ const App = (() => {
         document.querySelectorAll('.contract-btn').forEach(btn => {
             btn.addEventListener('click', async () => {
                 state.contractBase = parseInt(btn.dataset.base);
-                document.querySelectorAll('.contract-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+                updateContractBaseInputs();
                 updateHourlyRateDisplay();
                 updateResults();
                 await saveCurrentEmployeeConfig();
             });
         });
 
+        // Any other weekly duration (part-time contracts)
+        document.getElementById('contract-base-custom').addEventListener('change', async (e) => {
+            const base = parseFloat(e.target.value);
+            if (!(base > 0 && base <= 48)) {
+                updateContractBaseInputs();
+                return;
+            }
+            state.contractBase = base;
+            updateContractBaseInputs();
+            updateHourlyRateDisplay();
+            updateResults();
+            await saveCurrentEmployeeConfig();
+        });
+
+        // Working-time arrangement (modulation)
+        document.getElementById('work-schedule').addEventListener('change', (e) => {
+            state.schedule.mode = e.target.value;
+            if (state.schedule.mode !== 'weekly' && !state.schedule.anchor) {
+                const from = state.dateRange.start || new Date();
+                // Forfait-jours: reference year from January 1st by default
+                state.schedule.anchor = state.schedule.mode === 'forfait'
+                    ? `${from.getFullYear()}-01-01`
+                    : formatDate(getMonday(from));
+            }
+            handleScheduleChange();
+        });
+        document.getElementById('cycle-weeks').addEventListener('change', (e) => {
+            state.schedule.cycleWeeks = Math.max(2, parseInt(e.target.value) || 4);
+            handleScheduleChange();
+        });
+        document.getElementById('schedule-anchor').addEventListener('change', (e) => {
+            state.schedule.anchor = e.target.value || null;
+            handleScheduleChange();
+        });
+        document.getElementById('forfait-days').addEventListener('change', (e) => {
+            const days = parseInt(e.target.value);
+            state.schedule.forfaitDays = days > 0 && days <= FrenchRules.CONFIG.forfaitMaxDays ? days : FrenchRules.CONFIG.forfaitDays;
+            handleScheduleChange();
+        });
+
+        // Public-holiday calendar of the employee's site
+        const calendarSelect = document.getElementById('holiday-calendar');
+        Object.entries(FrenchRules.HOLIDAY_CALENDARS).forEach(([key, calendar]) => {
+            calendarSelect.add(new Option(calendar.label, key));
+        });
+        calendarSelect.addEventListener('change', async (e) => {
+            state.holidayCalendar = e.target.value;
+            renderEntries();
+            updateResults();
+            await saveCurrentEmployeeConfig();
+        });
+
+        // Individual premium and overtime rates (entered as a percentage, empty = CCN rate)
+        document.querySelectorAll('.premium-rate-input').forEach(input => {
+            input.addEventListener('change', async () => {
+                const pct = parseFloat(input.value);
+                const column = input.dataset.column;
+                const floor = column.startsWith('overtime_') ? 1 : 0;
+                state.premiumRates[column] = input.value === '' || !(pct >= 0) ? null : Math.round((floor + pct / 100) * 10000) / 10000;
+                updatePremiumRateInputs();
+                updateResults();
+                await saveCurrentEmployeeConfig();
+            });
+        });
+
+        // Classification in the conventional salary grid (minimum wage check)
+        document.getElementById('classification').addEventListener('change', async (e) => {
+            state.classification = e.target.value || null;
+            updateResults();
+            await saveCurrentEmployeeConfig();
+        });
+
+        // Hire and exit dates: seniority and prime d'ancienneté
+        document.getElementById('hire-date').addEventListener('change', async (e) => {
+            state.hireDate = e.target.value || null;
+            updateResults();
+            await saveCurrentEmployeeConfig();
+        });
+        document.getElementById('exit-date').addEventListener('change', async (e) => {
+            state.exitDate = e.target.value || null;
+            updateResults();
+            await saveCurrentEmployeeConfig();
+        });
+
+        // Birth date: young-worker limits while the employee is under 18
+        document.getElementById('birth-date').addEventListener('change', async (e) => {
+            state.birthDate = e.target.value || null;
+            updateResults();
+            await saveCurrentEmployeeConfig();
+        });
+
         // Theme toggle
         const themeButton = document.getElementById('theme-toggle');
         if (themeButton) {
@@ -441,6 +691,74 @@ const App = (() => {
             }
         });
 
+        // Settings modal
+        document.getElementById('btn-settings')?.addEventListener('click', openSettingsModal);
+        document.getElementById('settings-modal-close')?.addEventListener('click', closeSettingsModal);
+        document.getElementById('settings-modal')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) closeSettingsModal();
+        });
+        document.getElementById('btn-save-settings')?.addEventListener('click', saveSettingsModal);
+        document.getElementById('btn-add-solidarity-day')?.addEventListener('click', () => {
+            addSolidarityRow({ year: new Date().getFullYear(), mode: 'pentecost' });
+        });
+        document.getElementById('btn-add-seniority-step')?.addEventListener('click', () => addSeniorityBonusRow({ years: '', rate: '' }));
+        document.getElementById('btn-add-closure-day')?.addEventListener('click', () => addClosureDayRow({ date: '', name: '' }));
+        document.getElementById('btn-add-absence-type')?.addEventListener('click', () => addAbsenceTypeRow('', { label: '', countsAsWork: false, paid: false }));
+
+        // History modal (audit trail)
+        document.getElementById('btn-employee-history')?.addEventListener('click', () => openHistoryModal());
+        document.getElementById('history-modal-close')?.addEventListener('click', closeHistoryModal);
+        document.getElementById('history-modal')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) closeHistoryModal();
+        });
+
+        // Time clock: PIN of the employee, review of the punches
+        document.getElementById('btn-employee-pin')?.addEventListener('click', editEmployeePin);
+        document.getElementById('btn-punches')?.addEventListener('click', openPunchesModal);
+        document.getElementById('punches-modal-close')?.addEventListener('click', closePunchesModal);
+        document.getElementById('punches-modal')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) closePunchesModal();
+        });
+        document.getElementById('punches-anomalies-only')?.addEventListener('change', renderPunches);
+        document.getElementById('btn-add-punch')?.addEventListener('click', addPunch);
+
+        // Monthly closing
+        document.getElementById('btn-closing')?.addEventListener('click', openClosingModal);
+        document.getElementById('closing-modal-close')?.addEventListener('click', closeClosingModal);
+        document.getElementById('closing-modal')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) closeClosingModal();
+        });
+        document.getElementById('closing-month')?.addEventListener('change', renderClosings);
+        document.getElementById('btn-close-month')?.addEventListener('click', closeMonth);
+
+        // Users and own password
+        document.getElementById('btn-users')?.addEventListener('click', openUsersModal);
+        document.getElementById('users-modal-close')?.addEventListener('click', closeUsersModal);
+        document.getElementById('users-modal')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) closeUsersModal();
+        });
+        document.getElementById('btn-add-user')?.addEventListener('click', addUser);
+        document.getElementById('new-user-role')?.addEventListener('change', (e) => {
+            document.getElementById('new-user-employee-group').style.display = e.target.value === 'employee' ? '' : 'none';
+        });
+        document.getElementById('btn-account')?.addEventListener('click', () => openPasswordModal());
+        document.getElementById('password-modal-close')?.addEventListener('click', closePasswordModal);
+        document.getElementById('password-modal')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) closePasswordModal();
+        });
+        document.getElementById('btn-change-password')?.addEventListener('click', submitPasswordChange);
+
+        // Rule sets modal
+        document.getElementById('btn-rules')?.addEventListener('click', openRulesModal);
+        document.getElementById('rules-modal-close')?.addEventListener('click', closeRulesModal);
+        document.getElementById('rules-modal')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) closeRulesModal();
+        });
+        document.getElementById('btn-add-rule-set')?.addEventListener('click', () => {
+            const today = formatDate(new Date());
+            addRuleSetCard({ valid_from: today, valid_to: null, rules: FrenchRules.getRules(today) });
+        });
+
         // Modal
         document.getElementById('modal-close').addEventListener('click', closeModal);
 
@@ -497,27 +815,145 @@ const App = (() => {
         // Update UI
         document.getElementById('employee-select').value = id;
         document.getElementById('btn-delete-employee').style.display = '';
+        document.getElementById('btn-employee-history').style.display = '';
+        document.getElementById('btn-employee-pin').style.display = '';
+        document.getElementById('btn-employee-pin').classList.toggle('active', !!emp.has_pin);
 
         // Load employee config
         state.grossMonthlySalary = emp.gross_monthly_salary || 0;
         state.contractBase = emp.contract_base || 35;
 
         document.getElementById('gross-salary').value = state.grossMonthlySalary || '';
-        document.querySelectorAll('.contract-btn').forEach(b => {
-            b.classList.toggle('active', parseInt(b.dataset.base) === state.contractBase);
-        });
+        updateContractBaseInputs();
+
+        state.schedule = {
+            mode: emp.work_schedule || 'weekly',
+            cycleWeeks: emp.cycle_weeks || 4,
+            anchor: emp.schedule_anchor || null,
+            forfaitDays: emp.forfait_days || FrenchRules.CONFIG.forfaitDays
+        };
+        updateScheduleInputs();
+
+        state.holidayCalendar = emp.holiday_calendar || 'national';
+        document.getElementById('holiday-calendar').value = state.holidayCalendar;
+        state.birthDate = emp.birth_date || null;
+        document.getElementById('birth-date').value = state.birthDate || '';
+        state.premiumRates = Object.fromEntries(PREMIUM_COLUMNS.map(column => [column, emp[column] ?? null]));
+        updatePremiumRateInputs();
+        state.classification = emp.classification || null;
+        updateClassificationSelect();
+        state.hireDate = emp.hire_date || null;
+        state.exitDate = emp.exit_date || null;
+        document.getElementById('hire-date').value = state.hireDate || '';
+        document.getElementById('exit-date').value = state.exitDate || '';
 
         updateHourlyRateDisplay();
         await loadCurrentEntries();
     }
 
+    function updateScheduleInputs() {
+        const { mode, cycleWeeks, anchor, forfaitDays } = state.schedule;
+        document.getElementById('work-schedule').value = mode;
+        document.getElementById('cycle-weeks').value = cycleWeeks;
+        document.getElementById('schedule-anchor').value = anchor || '';
+        document.getElementById('forfait-days').value = forfaitDays;
+        document.querySelector('.schedule-cycle').style.display = mode === 'cycle' ? '' : 'none';
+        document.querySelector('.schedule-forfait').style.display = mode === 'forfait' ? '' : 'none';
+        document.querySelector('.schedule-anchor').style.display = mode === 'weekly' ? 'none' : '';
+    }
+
+    // --- Individual premium rates ---
+    const PREMIUM_COLUMNS = ['sunday_premium_rate', 'holiday_premium_rate', 'night_premium_rate', 'overtime_first_rate', 'overtime_second_rate'];
+
+    // Premium overrides of processEntries from the employees columns, null when none is set
+    function premiumOverridesOf(rates) {
+        if (PREMIUM_COLUMNS.every(column => rates[column] === null || rates[column] === undefined)) return null;
+        return {
+            sundayPremiumRate: rates.sunday_premium_rate ?? null,
+            holidayPremiumRate: rates.holiday_premium_rate ?? null,
+            nightPremiumRate: rates.night_premium_rate ?? null,
+            overtimeRates: [rates.overtime_first_rate ?? null, rates.overtime_second_rate ?? null]
+        };
+    }
+
+    // Inputs show the individual rate, the CCN rate in force as placeholder
+    function updatePremiumRateInputs() {
+        const rules = FrenchRules.getRules(state.dateRange.start ? formatDate(state.dateRange.start) : null);
+        const defaults = {
+            sunday_premium_rate: rules.sundayPremiumRate,
+            holiday_premium_rate: rules.holidayPremiumRate,
+            night_premium_rate: FrenchRules.CONFIG.nightPremiumRate,
+            overtime_first_rate: rules.overtimeBrackets[0].rate - 1,
+            overtime_second_rate: rules.overtimeBrackets[1].rate - 1
+        };
+        document.querySelectorAll('.premium-rate-input').forEach(input => {
+            const column = input.dataset.column;
+            const rate = state.premiumRates[column];
+            const floor = column.startsWith('overtime_') ? 1 : 0;
+            input.value = rate === null || rate === undefined ? '' : Math.round((rate - floor) * 10000) / 100;
+            input.placeholder = `${Math.round(defaults[column] * 10000) / 100} (CCN)`;
+            input.classList.toggle('overridden', rate !== null && rate !== undefined);
+        });
+    }
+
+    // Grid in force at the start of the period; a classification missing from it stays selectable
+    function updateClassificationSelect() {
+        const select = document.getElementById('classification');
+        const grid = FrenchRules.getRules(state.dateRange.start ? formatDate(state.dateRange.start) : null).salaryGrid;
+        select.innerHTML = '';
+        select.add(new Option('Non classé', ''));
+        grid.forEach(row => select.add(new Option(
+            `${FrenchRules.getClassificationLabel(row)} (${row.minMonthly.toFixed(2)} €)`,
+            FrenchRules.getClassificationCode(row)
+        )));
+        if (state.classification && !grid.some(row => FrenchRules.getClassificationCode(row) === state.classification)) {
+            select.add(new Option(`${state.classification} (hors grille)`, state.classification));
+        }
+        select.value = state.classification || '';
+    }
+
+    async function handleScheduleChange() {
+        updateScheduleInputs();
+        await saveCurrentEmployeeConfig();
+        // The history needed by the engine depends on the reference period
+        await refreshEngineContext();
+    }
+
     async function saveCurrentEmployeeConfig() {
         if (!state.currentEmployeeId) return;
         try {
             await API.updateEmployee(state.currentEmployeeId, {
                 gross_monthly_salary: state.grossMonthlySalary,
-                contract_base: state.contractBase
+                contract_base: state.contractBase,
+                work_schedule: state.schedule.mode,
+                cycle_weeks: state.schedule.cycleWeeks,
+                schedule_anchor: state.schedule.anchor,
+                forfait_days: state.schedule.forfaitDays,
+                holiday_calendar: state.holidayCalendar,
+                birth_date: state.birthDate,
+                classification: state.classification,
+                hire_date: state.hireDate,
+                exit_date: state.exitDate,
+                ...state.premiumRates
             });
+            // Keep the cached employee in sync (merged view, reselection)
+            const emp = state.employees.find(e => e.id === state.currentEmployeeId);
+            if (emp) {
+                Object.assign(emp, {
+                    gross_monthly_salary: state.grossMonthlySalary,
+                    contract_base: state.contractBase,
+                    work_schedule: state.schedule.mode,
+                    cycle_weeks: state.schedule.cycleWeeks,
+                    schedule_anchor: state.schedule.anchor,
+                    forfait_days: state.schedule.forfaitDays,
+                    holiday_calendar: state.holidayCalendar,
+                    birth_date: state.birthDate,
+                    classification: state.classification,
+                    hire_date: state.hireDate,
+                    exit_date: state.exitDate,
+                    ...state.premiumRates
+                });
+            }
         } catch (e) {
             console.warn('Failed to save employee config:', e);
         }
@@ -530,7 +966,15 @@ const App = (() => {
         try {
             const start = formatDate(state.dateRange.start);
             const end = formatDate(state.dateRange.end);
-            const dbEntries = await API.getEntries(state.currentEmployeeId, start, end);
+            const [dbEntries, context, comments, closings] = await Promise.all([
+                API.getEntries(state.currentEmployeeId, start, end),
+                API.getEngineContext(state.currentEmployeeId, start, end),
+                API.getComments(state.currentEmployeeId, start, end),
+                API.getEmployeeClosings(state.currentEmployeeId)
+            ]);
+            state.engineContext = context.error ? {} : context;
+            state.comments = Array.isArray(comments) ? comments : [];
+            state.closedMonths = Array.isArray(closings) ? closings.map(c => c.month) : [];
 
             // Map DB entries onto the day grid
             const dbMap = {};
@@ -545,7 +989,10 @@ const App = (() => {
                     date,
                     start: db ? db.start : '',
                     end: db ? db.end : '',
-                    breakDuration: db ? db.break_duration : 0
+                    breakDuration: db ? db.break_duration : 0,
+                    absence: db ? db.absence : null,
+                    stored: !!db,
+                    ...(db && db.segments ? { segments: db.segments } : {})
                 };
             });
 
@@ -556,6 +1003,28 @@ const App = (() => {
         }
     }
 
+    // Days with data, plus stored days so that clearing a day is saved too (closed months excepted)
+    function getEntriesToSave() {
+        return state.entries.filter(e => (e.start || e.end || e.breakDuration || e.absence || e.stored) && !isDayClosed(e.date));
+    }
+
+    function isDayClosed(date) {
+        return state.closedMonths.includes(date.slice(0, 7));
+    }
+
+    // Reload the stored data the engine needs beyond the period, then recompute
+    async function refreshEngineContext() {
+        if (state.currentEmployeeId && state.dateRange.start && state.dateRange.end) {
+            try {
+                const context = await API.getEngineContext(state.currentEmployeeId, formatDate(state.dateRange.start), formatDate(state.dateRange.end));
+                state.engineContext = context.error ? {} : context;
+            } catch (e) {
+                console.warn('Failed to load engine context:', e);
+            }
+        }
+        updateResults();
+    }
+
     async function saveCurrentEntries() {
         if (!state.currentEmployeeId) {
             showToast('Sélectionnez un employé d\'abord', 'warning');
@@ -566,8 +1035,12 @@ const App = (() => {
 
         try {
             // Only save entries with data
-            const toSave = state.entries.filter(e => e.start || e.end || e.breakDuration);
-            await API.saveEntries(state.currentEmployeeId, toSave);
+            const toSave = getEntriesToSave();
+            const result = await API.saveEntries(state.currentEmployeeId, toSave);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
             showToast('Heures sauvegardées', 'success');
         } catch (e) {
             showToast('Erreur lors de la sauvegarde', 'error');
@@ -584,7 +1057,7 @@ const App = (() => {
         clearTimeout(autoSaveTimer);
         autoSaveTimer = setTimeout(async () => {
             try {
-                const toSave = state.entries.filter(e => e.start || e.end || e.breakDuration);
+                const toSave = getEntriesToSave();
                 await API.saveEntries(state.currentEmployeeId, toSave);
             } catch (e) {
                 console.warn('Auto-save failed:', e);
@@ -599,18 +1072,36 @@ const App = (() => {
         try {
             const start = formatDate(state.dateRange.start);
             const end = formatDate(state.dateRange.end);
-            const allEntries = await API.getAllEntries(start, end);
+            // Each employee's stored data beyond the period (straddling weeks, rolling average,
+            // counters), as loaded for the single-employee view
+            const [allEntries, contexts] = await Promise.all([
+                API.getAllEntries(start, end),
+                Promise.all(state.employees.map(emp => API.getEngineContext(emp.id, start, end)))
+            ]);
 
             // Group by employee for results
             const byEmployee = {};
-            for (const emp of state.employees) {
+            state.employees.forEach((emp, i) => {
                 byEmployee[emp.name] = {
                     name: emp.name,
                     salary: emp.gross_monthly_salary,
                     contractBase: emp.contract_base,
+                    schedule: {
+                        mode: emp.work_schedule || 'weekly',
+                        cycleWeeks: emp.cycle_weeks || 4,
+                        anchor: emp.schedule_anchor || null,
+                        forfaitDays: emp.forfait_days || FrenchRules.CONFIG.forfaitDays
+                    },
+                    holidayCalendar: emp.holiday_calendar || 'national',
+                    birthDate: emp.birth_date || null,
+                    premiumOverrides: premiumOverridesOf(emp),
+                    classification: emp.classification || null,
+                    hireDate: emp.hire_date || null,
+                    exitDate: emp.exit_date || null,
+                    context: contexts[i].error ? {} : contexts[i],
                     entries: []
                 };
-            }
+            });
 
             for (const entry of allEntries) {
                 if (byEmployee[entry.employee_name]) {
@@ -618,7 +1109,9 @@ const App = (() => {
                         date: entry.date,
                         start: entry.start,
                         end: entry.end,
-                        breakDuration: entry.break_duration
+                        breakDuration: entry.break_duration,
+                        absence: entry.absence,
+                        ...(entry.segments ? { segments: entry.segments } : {})
                     });
                 } else {
                     // This case should ideally not happen if state.employees is up-to-date
@@ -631,7 +1124,9 @@ const App = (() => {
                             date: entry.date,
                             start: entry.start,
                             end: entry.end,
-                            breakDuration: entry.break_duration
+                            breakDuration: entry.break_duration,
+                            absence: entry.absence,
+                            ...(entry.segments ? { segments: entry.segments } : {})
                         }]
                     };
                 }
@@ -660,6 +1155,7 @@ const App = (() => {
             const dayName = dateObj.toLocaleDateString('fr-FR', { weekday: 'short' });
             const dateDisplay = dateObj.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' });
             const holiday = FrenchRules.isPublicHoliday(dateObj);
+            const closure = FrenchRules.getClosureDay(dateObj);
             const isSunday = dateObj.getDay() === 0;
             const isSaturday = dateObj.getDay() === 6;
 
@@ -671,11 +1167,14 @@ const App = (() => {
                 const entry = empData.entries.find(e => e.date === date);
                 const color = EMPLOYEE_COLORS[empIdx % EMPLOYEE_COLORS.length];
                 const hoursWorked = entry ? FrenchRules.calculateDailyHours(entry) : 0;
+                const absence = entry ? FrenchRules.getAbsenceType(entry) : null;
 
-                if (hoursWorked > 0) {
+                if (hoursWorked > 0 || absence) {
                     hasAnyEntry = true;
+                    // Regional calendar of the employee (Alsace-Moselle, DOM)
+                    const empHoliday = FrenchRules.isPublicHoliday(dateObj, empData.holidayCalendar);
                     const tr = document.createElement('tr');
-                    if (holiday) tr.classList.add('holiday-row');
+                    if (empHoliday) tr.classList.add('holiday-row');
                     if (isSunday) tr.classList.add('sunday-row');
                     if (isSaturday) tr.classList.add('saturday-row');
 
@@ -684,12 +1183,14 @@ const App = (() => {
                             <span class="day-name">${capitalizeFirst(dayName)}</span>
                             <span class="day-date">${dateDisplay}</span>
                             <span class="merged-employee-badge" style="background:${color}20; color:${color}; border: 1px solid ${color}40;">${empName}</span>
-                            ${holiday ? `<span class="holiday-badge" title="${holiday.name}">🏴</span>` : ''}
+                            ${FrenchRules.isSplitDay(entry) ? `<span class="split-badge" title="${entry.segments ? entry.segments.map(seg => `${seg.start}–${seg.end}`).join(' / ') : 'Journée en coupure'}">✂️</span>` : ''}
+                            ${empHoliday ? `<span class="holiday-badge" title="${empHoliday.name}">🏴</span>` : ''}
+                            ${absence ? `<span class="absence-badge" title="${absence.label}">${absence.code}</span>` : ''}
                         </td>
                         <td class="cell-time">${entry.start || '-'}</td>
                         <td class="cell-time">${entry.end || '-'}</td>
                         <td class="cell-break">${entry.breakDuration || 0} min</td>
-                        <td class="cell-hours has-hours">${FrenchRules.formatHours(hoursWorked)}</td>
+                        <td class="cell-hours ${hoursWorked > 0 ? 'has-hours' : ''}">${hoursWorked > 0 ? FrenchRules.formatHours(hoursWorked) : absence.label}</td>
                     `;
                     tbody.appendChild(tr);
                 }
@@ -711,6 +1212,7 @@ const App = (() => {
                         <span class="day-name">${capitalizeFirst(dayName)}</span>
                         <span class="day-date">${dateDisplay}</span>
                         ${holiday ? `<span class="holiday-badge" title="${holiday.name}">🏴 ${holiday.name}</span>` : ''}
+                        ${closure ? `<span class="closure-badge" title="Fermeture de l'entreprise">🏢 ${closure.name}</span>` : ''}
                     </td>
                     <td class="cell-time" colspan="3" style="text-align:center; opacity:0.4;">—</td>
                     <td class="cell-hours">-</td>
@@ -738,8 +1240,18 @@ const App = (() => {
             const empName = employeeNames[empIdx];
             const empData = byEmployee[empName];
             const color = EMPLOYEE_COLORS[empIdx % EMPLOYEE_COLORS.length];
-            const hourlyRate = FrenchRules.calculateHourlyRate(empData.salary, empData.contractBase);
-            const results = FrenchRules.processEntries(empData.entries, hourlyRate, empData.contractBase);
+            const hourlyRate = FrenchRules.calculateHourlyRate(empData.salary, empData.contractBase, formatDate(state.dateRange.start));
+            const results = FrenchRules.processEntries(empData.entries, hourlyRate, empData.contractBase, {
+                ...empData.context,
+                schedule: empData.schedule,
+                holidayCalendar: empData.holidayCalendar,
+                birthDate: empData.birthDate,
+                premiumOverrides: empData.premiumOverrides,
+                classification: empData.classification,
+                hireDate: empData.hireDate,
+                exitDate: empData.exitDate,
+                period: { start: formatDate(state.dateRange.start), end: formatDate(state.dateRange.end) }
+            });
 
             grandTotalHours += results.totalHours;
             if (results.totalPay) grandTotalPay += results.totalPay.total;
@@ -748,11 +1260,13 @@ const App = (() => {
                 <div class="merged-employee-card" style="border-left: 3px solid ${color};">
                     <div class="merged-card-header">
                         <span class="merged-card-name" style="color:${color}">${empName}</span>
-                        <span class="merged-card-hours">${FrenchRules.formatHours(results.totalHours)}</span>
+                        <span class="merged-card-hours">${results.forfait ? formatDays(results.totalDays) : FrenchRules.formatHours(results.totalHours)}</span>
                     </div>
                     <div class="merged-card-details">
                         <span>Heures sup: ${FrenchRules.formatHours(results.totalOvertime)}</span>
+                        ${results.totalComplementaryHours > 0 ? `<span>Compl.: ${FrenchRules.formatHours(results.totalComplementaryHours)}</span>` : ''}
                         ${results.totalPay ? `<span>Brut: ${results.totalPay.total.toFixed(2)} €</span>` : ''}
+                        ${results.wageWarnings.length > 0 ? `<span class="merged-card-alert" title="${results.wageWarnings.map(w => w.message).join('\n')}">⚠️ Salaire sous le minimum</span>` : ''}
                     </div>
                 </div>`;
         }
@@ -815,12 +1329,16 @@ const App = (() => {
             const date = parseDateLocal(entry.date);
             const dayName = date.toLocaleDateString('fr-FR', { weekday: 'short' });
             const dateDisplay = date.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' });
-            const holiday = FrenchRules.isPublicHoliday(date);
+            const holiday = FrenchRules.isPublicHoliday(date, state.holidayCalendar);
+            const closure = FrenchRules.getClosureDay(date);
             const isSunday = date.getDay() === 0;
             const isSaturday = date.getDay() === 6;
             const hoursWorked = FrenchRules.calculateDailyHours(entry);
 
+            const closed = isDayClosed(entry.date);
+
             const tr = document.createElement('tr');
+            if (closed) tr.classList.add('closed-row');
             if (holiday) tr.classList.add('holiday-row');
             if (isSunday) tr.classList.add('sunday-row');
             if (isSaturday) tr.classList.add('saturday-row');
@@ -833,6 +1351,31 @@ const App = (() => {
             // Off day: no hours entered
             const isOff = !entry.start && !entry.end;
             if (isOff) tr.classList.add('day-off-row');
+            const absence = FrenchRules.getAbsenceType(entry);
+            if (absence) tr.classList.add('absence-row');
+
+            // Split shifts: one row per segment, the first one carries the day
+            const segments = entry.segments || [{ start: entry.start, end: entry.end, breakDuration: entry.breakDuration }];
+            const segAttr = (seg) => entry.segments ? `data-seg="${seg}"` : '';
+            const tabIndex = state.quickMode ? 'tabindex="-1"' : '';
+            const timeCells = (seg) => `
+                <td class="cell-time">
+                    <input type="text" value="${segments[seg].start}" data-index="${index}" ${segAttr(seg)} data-field="start"
+                        class="time-input" placeholder="HH:MM" maxlength="5" ${tabIndex}>
+                    ${roundedTimeHint(segments[seg].start, 'start')}
+                </td>
+                <td class="cell-time">
+                    <input type="text" value="${segments[seg].end}" data-index="${index}" ${segAttr(seg)} data-field="end"
+                        class="time-input" placeholder="HH:MM" maxlength="5" ${tabIndex}>
+                    ${roundedTimeHint(segments[seg].end, 'end')}
+                </td>
+                <td class="cell-break">
+                    <div class="break-input-wrapper">
+                        <input type="number" value="${segments[seg].breakDuration || 0}" data-index="${index}" ${segAttr(seg)} data-field="breakDuration"
+                            class="break-input" min="0" max="480" step="5" title="Pause déjeuner (minutes)" ${tabIndex}>
+                        <span class="break-unit">min</span>
+                    </div>
+                </td>`;
 
             tr.innerHTML = `
                 ${state.quickMode ? `
@@ -847,40 +1390,61 @@ const App = (() => {
                     <span class="day-name">${capitalizeFirst(dayName)}</span>
                     <span class="day-date">${dateDisplay}</span>
                     ${holiday ? `<span class="holiday-badge" title="${holiday.name}">🏴 ${holiday.name}</span>` : ''}
+                    ${closure ? `<span class="closure-badge" title="Fermeture de l'entreprise">🏢 ${closure.name}</span>` : ''}
+                    ${FrenchRules.isSolidarityDate(entry.date) ? '<span class="closure-badge" title="Heures non rémunérées, hors majorations et heures sup.">🤝 Solidarité</span>' : ''}
+                    ${FrenchRules.isSplitDay(entry) ? '<span class="split-badge" title="Journée en coupure (interruption > 2h)">✂️ Coupure</span>' : ''}
+                    ${renderDayComments(entry.date)}
+                    ${closed ? '<span class="closed-badge" title="Mois clôturé : saisie en lecture seule">🔒 Clôturé</span>' : ''}
+                    ${state.quickMode
+                        ? (absence ? `<span class="absence-badge" title="${absence.label}">${absence.code}</span>` : '')
+                        : renderAbsenceSelect(index, entry.absence, 'absence-select')}
                 </td>
-                <td class="cell-time">
-                    <input type="text" value="${entry.start}" data-index="${index}" data-field="start"
-                        class="time-input" placeholder="HH:MM" maxlength="5" ${state.quickMode ? 'tabindex="-1"' : ''}>
-                </td>
-                <td class="cell-time">
-                    <input type="text" value="${entry.end}" data-index="${index}" data-field="end"
-                        class="time-input" placeholder="HH:MM" maxlength="5" ${state.quickMode ? 'tabindex="-1"' : ''}>
-                </td>
-                <td class="cell-break">
-                    <div class="break-input-wrapper">
-                        <input type="number" value="${entry.breakDuration || 0}" data-index="${index}" data-field="breakDuration"
-                            class="break-input" min="0" max="480" step="5" title="Pause déjeuner (minutes)" ${state.quickMode ? 'tabindex="-1"' : ''}>
-                        <span class="break-unit">min</span>
-                    </div>
-                </td>
+                ${timeCells(0)}
                 <td class="cell-hours ${hoursWorked > 0 ? 'has-hours' : ''}">
-                    ${hoursWorked > 0 ? FrenchRules.formatHours(hoursWorked) : '-'}
+                    ${hoursWorked > 0 ? FrenchRules.formatHours(hoursWorked) : (absence ? absence.label : '-')}
                 </td>
                 <td class="cell-reset">
+                    ${!state.quickMode ? `<button class="btn-add-segment" data-index="${index}" title="Ajouter une plage horaire (coupure)">+</button>` : ''}
                     ${hoursWorked > 0 ? `<button class="btn-reset-row" data-index="${index}" title="Remettre à zéro">✕</button>` : ''}
+                    ${entry.stored ? `<button class="btn-day-history" data-date="${entry.date}" title="Historique des modifications">🕘</button>` : ''}
+                    ${currentRole() === 'employee' ? `<button class="btn-day-report" data-date="${entry.date}" title="Signaler une erreur sur ce jour">⚑</button>` : ''}
                 </td>
             `;
 
-            // Attach input handlers
-            tr.querySelectorAll('input.time-input').forEach(input => {
-                input.addEventListener('blur', (e) => {
-                    autoCompleteTime(e);
-                    handleEntryChange(e);
+            const rows = [tr];
+            for (let seg = 1; seg < segments.length; seg++) {
+                const segRow = document.createElement('tr');
+                segRow.className = tr.className;
+                segRow.classList.add('segment-row');
+                segRow.classList.remove('week-start');
+                segRow.innerHTML = `
+                    ${state.quickMode ? '<td class="cell-check"></td>' : ''}
+                    <td class="cell-day"><span class="segment-label">↳ Plage ${seg + 1}</span></td>
+                    ${timeCells(seg)}
+                    <td class="cell-hours"></td>
+                    <td class="cell-reset">
+                        <button class="btn-remove-segment" data-index="${index}" data-seg="${seg}" title="Supprimer cette plage">✕</button>
+                    </td>
+                `;
+                rows.push(segRow);
+            }
+
+            rows.forEach(row => {
+                if (closed) row.querySelectorAll('input, select').forEach(input => { input.disabled = true; });
+                // Attach input handlers
+                row.querySelectorAll('input.time-input').forEach(input => {
+                    input.addEventListener('blur', (e) => {
+                        autoCompleteTime(e);
+                        handleEntryChange(e);
+                    });
                 });
-            });
-            tr.querySelectorAll('input.break-input').forEach(input => {
-                input.addEventListener('change', handleEntryChange);
-                input.addEventListener('input', handleEntryChange);
+                row.querySelectorAll('input.break-input').forEach(input => {
+                    input.addEventListener('change', handleEntryChange);
+                    input.addEventListener('input', handleEntryChange);
+                });
+                row.querySelectorAll('.btn-add-segment').forEach(btn => btn.addEventListener('click', handleAddSegment));
+                row.querySelectorAll('.btn-remove-segment').forEach(btn => btn.addEventListener('click', handleRemoveSegment));
+                row.querySelectorAll('.absence-select').forEach(select => select.addEventListener('change', handleAbsenceChange));
             });
 
             // Quick mode checkbox handler
@@ -889,21 +1453,22 @@ const App = (() => {
                 checkbox.addEventListener('change', handleQuickCheck);
             }
 
+            tr.querySelector('.btn-day-history')?.addEventListener('click', (e) => openHistoryModal(e.target.dataset.date));
+            tr.querySelector('.btn-day-report')?.addEventListener('click', (e) => reportDayError(e.target.dataset.date));
+
             // Reset button handler
             const resetBtn = tr.querySelector('.btn-reset-row');
             if (resetBtn) {
                 resetBtn.addEventListener('click', (e) => {
                     const idx = parseInt(e.target.dataset.index);
-                    state.entries[idx].start = '';
-                    state.entries[idx].end = '';
-                    state.entries[idx].breakDuration = 0;
+                    setEntryTimes(state.entries[idx], '', '', 0);
                     renderEntries();
                     updateResults();
                     scheduleAutoSave();
                 });
             }
 
-            tbody.appendChild(tr);
+            rows.forEach(row => tbody.appendChild(row));
         });
 
         // Also render grid if in grid mode
@@ -955,14 +1520,20 @@ const App = (() => {
                 const date = entry.dateObj;
                 const dayName = date.toLocaleDateString('fr-FR', { weekday: 'short' });
                 const dateNum = date.toLocaleDateString('fr-FR', { day: '2-digit' });
-                const holiday = FrenchRules.isPublicHoliday(date);
+                const holiday = FrenchRules.isPublicHoliday(date, state.holidayCalendar);
+                const closure = FrenchRules.getClosureDay(date);
                 const isSunday = date.getDay() === 0;
                 const isSaturday = date.getDay() === 6;
                 const hoursWorked = FrenchRules.calculateDailyHours(entry);
                 const hasHours = entry.start && entry.end;
+                const absence = FrenchRules.getAbsenceType(entry);
+
+                const closed = isDayClosed(entry.date);
 
                 const dayRow = document.createElement('div');
                 dayRow.className = 'wg-day';
+                if (closed) dayRow.classList.add('wg-closed');
+                if (absence) dayRow.classList.add('wg-absence');
                 if (holiday) dayRow.classList.add('wg-holiday');
                 if (isSunday) dayRow.classList.add('wg-sunday');
                 if (isSaturday) dayRow.classList.add('wg-saturday');
@@ -977,58 +1548,91 @@ const App = (() => {
                         <span class="wg-day-name">${capitalizeFirst(dayName)}</span>
                         <span class="wg-day-num">${dateNum}</span>
                         ${holiday ? '<span class="wg-badge" title="' + holiday.name + '">🏴</span>' : ''}
+                        ${closure ? `<span class="wg-badge" title="${closure.name}">🏢</span>` : ''}
+                        ${absence ? `<span class="absence-badge" title="${absence.label}">${absence.code}</span>` : ''}
                         <span class="wg-hours">${hoursWorked > 0 ? FrenchRules.formatHours(hoursWorked) : ''}</span>
                     </label>
                 `;
                     const cb = dayRow.querySelector('.wg-check');
+                    cb.disabled = closed;
                     cb.addEventListener('change', (e) => {
                         const idx = parseInt(e.target.dataset.index);
                         if (e.target.checked) {
-                            state.entries[idx].start = state.quickTemplate.start;
-                            state.entries[idx].end = state.quickTemplate.end;
-                            state.entries[idx].breakDuration = state.quickTemplate.breakDuration;
+                            setEntryTimes(state.entries[idx], state.quickTemplate.start, state.quickTemplate.end, state.quickTemplate.breakDuration);
                         } else {
-                            state.entries[idx].start = '';
-                            state.entries[idx].end = '';
-                            state.entries[idx].breakDuration = 0;
+                            setEntryTimes(state.entries[idx], '', '', 0);
                         }
                         scheduleAutoSave();
                         renderEntries();
                         updateResults();
                     });
                 } else {
+                    const segments = entry.segments || [{ start: entry.start, end: entry.end, breakDuration: entry.breakDuration }];
+                    const segAttr = (seg) => entry.segments ? `data-seg="${seg}"` : '';
+                    const segInputs = (seg) => `
+                    <input type="text" class="wg-time-input" value="${segments[seg].start}" data-index="${entry.globalIndex}" ${segAttr(seg)} data-field="start" placeholder="HH:MM" maxlength="5">
+                    <span class="wg-sep">→</span>
+                    <input type="text" class="wg-time-input" value="${segments[seg].end}" data-index="${entry.globalIndex}" ${segAttr(seg)} data-field="end" placeholder="HH:MM" maxlength="5">
+                    <input type="number" class="wg-break-input" value="${segments[seg].breakDuration || 0}" data-index="${entry.globalIndex}" ${segAttr(seg)} data-field="breakDuration" min="0" max="480" step="5" title="Pause déjeuner (minutes)">`;
+
                     dayRow.innerHTML = `
                     <span class="wg-day-name">${capitalizeFirst(dayName)}</span>
                     <span class="wg-day-num">${dateNum}</span>
                     ${holiday ? '<span class="wg-badge" title="' + holiday.name + '">🏴</span>' : ''}
-                    <input type="text" class="wg-time-input" value="${entry.start}" data-index="${entry.globalIndex}" data-field="start" placeholder="HH:MM" maxlength="5">
-                    <span class="wg-sep">→</span>
-                    <input type="text" class="wg-time-input" value="${entry.end}" data-index="${entry.globalIndex}" data-field="end" placeholder="HH:MM" maxlength="5">
-                    <input type="number" class="wg-break-input" value="${entry.breakDuration || 0}" data-index="${entry.globalIndex}" data-field="breakDuration" min="0" max="480" step="5" title="Pause déjeuner (minutes)">
-                    <span class="wg-hours">${hoursWorked > 0 ? FrenchRules.formatHours(hoursWorked) : '-'}</span>
+                    ${closure ? `<span class="wg-badge" title="${closure.name}">🏢</span>` : ''}
+                    ${FrenchRules.isSolidarityDate(entry.date) ? '<span class="wg-badge" title="Journée de solidarité">🤝</span>' : ''}
+                    ${FrenchRules.isSplitDay(entry) ? '<span class="wg-badge" title="Journée en coupure">✂️</span>' : ''}
+                    ${closed ? '<span class="wg-badge" title="Mois clôturé">🔒</span>' : ''}
+                    ${segInputs(0)}
+                    ${renderAbsenceSelect(entry.globalIndex, entry.absence, 'absence-select wg-absence-select')}
+                    <span class="wg-hours">${hoursWorked > 0 ? FrenchRules.formatHours(hoursWorked) : (absence ? absence.code : '-')}</span>
+                    <button class="btn-add-segment wg-add-segment" data-index="${entry.globalIndex}" title="Ajouter une plage horaire (coupure)">+</button>
                     ${hoursWorked > 0 ? `<button class="btn-reset-row wg-reset" data-index="${entry.globalIndex}" title="Remettre à zéro">✕</button>` : ''}
                 `;
-                    dayRow.querySelectorAll('.wg-time-input').forEach(input => {
-                        input.addEventListener('blur', (e) => {
-                            autoCompleteTime(e);
-                            handleEntryChange(e);
+
+                    const segmentRows = [];
+                    for (let seg = 1; seg < segments.length; seg++) {
+                        const segRow = document.createElement('div');
+                        segRow.className = `wg-day wg-segment${closed ? ' wg-closed' : ''}`;
+                        segRow.innerHTML = `
+                    <span class="wg-day-name segment-label">↳</span>
+                    <span class="wg-day-num"></span>
+                    ${segInputs(seg)}
+                    <span class="wg-hours"></span>
+                    <button class="btn-remove-segment wg-reset" data-index="${entry.globalIndex}" data-seg="${seg}" title="Supprimer cette plage">✕</button>
+                `;
+                        segmentRows.push(segRow);
+                    }
+
+                    [dayRow, ...segmentRows].forEach(row => {
+                        if (closed) row.querySelectorAll('input, select').forEach(input => { input.disabled = true; });
+                        row.querySelectorAll('.wg-time-input').forEach(input => {
+                            input.addEventListener('blur', (e) => {
+                                autoCompleteTime(e);
+                                handleEntryChange(e);
+                            });
                         });
+                        row.querySelectorAll('.wg-break-input').forEach(input => {
+                            input.addEventListener('change', handleEntryChange);
+                        });
+                        row.querySelectorAll('.btn-add-segment').forEach(btn => btn.addEventListener('click', handleAddSegment));
+                        row.querySelectorAll('.btn-remove-segment').forEach(btn => btn.addEventListener('click', handleRemoveSegment));
+                        row.querySelectorAll('.absence-select').forEach(select => select.addEventListener('change', handleAbsenceChange));
                     });
-                    dayRow.querySelectorAll('.wg-break-input').forEach(input => {
-                        input.addEventListener('change', handleEntryChange);
-                    });
-                    const resetBtn = dayRow.querySelector('.wg-reset');
+                    const resetBtn = dayRow.querySelector('.btn-reset-row');
                     if (resetBtn) {
                         resetBtn.addEventListener('click', (e) => {
                             const idx = parseInt(e.target.dataset.index);
-                            state.entries[idx].start = '';
-                            state.entries[idx].end = '';
-                            state.entries[idx].breakDuration = 0;
+                            setEntryTimes(state.entries[idx], '', '', 0);
                             renderEntries();
                             updateResults();
                             scheduleAutoSave();
                         });
                     }
+
+                    daysContainer.appendChild(dayRow);
+                    segmentRows.forEach(row => daysContainer.appendChild(row));
+                    return;
                 }
 
                 daysContainer.appendChild(dayRow);
@@ -1038,12 +1642,76 @@ const App = (() => {
         });
     }
 
+    // Rounded time counted by the engine, shown under the raw time when they differ
+    function roundedTimeHint(time, edge) {
+        if (!/^\d{2}:\d{2}$/.test(time || '')) return '';
+        const rounded = FrenchRules.roundTime(time, edge);
+        return rounded !== time
+            ? `<span class="rounded-time" title="Horaire retenu après arrondi (saisi : ${time})">→ ${rounded}</span>`
+            : '';
+    }
+
     function handleEntryChange(e) {
         const index = parseInt(e.target.dataset.index);
         const field = e.target.dataset.field;
         const value = field === 'breakDuration' ? parseInt(e.target.value) || 0 : e.target.value;
+        const entry = state.entries[index];
+
+        if (entry.segments && e.target.dataset.seg !== undefined) {
+            entry.segments[parseInt(e.target.dataset.seg)][field] = value;
+            Object.assign(entry, FrenchRules.summarizeSegments(entry.segments));
+        } else {
+            entry[field] = value;
+        }
+        scheduleAutoSave();
+        renderEntries();
+        updateResults();
+    }
+
+    // --- Split shifts (journée en coupure) ---
+    function setEntryTimes(entry, start, end, breakDuration) {
+        entry.start = start;
+        entry.end = end;
+        entry.breakDuration = breakDuration;
+        delete entry.segments;
+    }
+
+    function handleAddSegment(e) {
+        const entry = state.entries[parseInt(e.target.dataset.index)];
+        if (!entry.segments) {
+            entry.segments = [{ start: entry.start, end: entry.end, breakDuration: entry.breakDuration || 0 }];
+        }
+        entry.segments.push({ start: '', end: '', breakDuration: 0 });
+        renderEntries();
+    }
+
+    function handleRemoveSegment(e) {
+        const entry = state.entries[parseInt(e.target.dataset.index)];
+        entry.segments.splice(parseInt(e.target.dataset.seg), 1);
+        if (entry.segments.length > 1) {
+            Object.assign(entry, FrenchRules.summarizeSegments(entry.segments));
+        } else {
+            const [single] = entry.segments;
+            setEntryTimes(entry, single.start, single.end, single.breakDuration);
+        }
+        scheduleAutoSave();
+        renderEntries();
+        updateResults();
+    }
+
+    // --- Absences (congés payés, maladie, RTT, ...) ---
+    function renderAbsenceSelect(index, selected, className) {
+        const options = Object.entries(FrenchRules.CONFIG.absenceTypes)
+            .map(([code, type]) => `<option value="${code}" ${code === selected ? 'selected' : ''}>${code} — ${type.label}</option>`)
+            .join('');
+        return `<select class="${className}" data-index="${index}" title="Absence">
+                    <option value="">Présent</option>${options}
+                </select>`;
+    }
 
-        state.entries[index][field] = value;
+    function handleAbsenceChange(e) {
+        const entry = state.entries[parseInt(e.target.dataset.index)];
+        entry.absence = e.target.value || null;
         scheduleAutoSave();
         renderEntries();
         updateResults();
@@ -1097,7 +1765,7 @@ const App = (() => {
         if (!display || !valueEl) return;
 
         if (state.grossMonthlySalary > 0) {
-            const rate = FrenchRules.calculateHourlyRate(state.grossMonthlySalary, state.contractBase);
+            const rate = FrenchRules.calculateHourlyRate(state.grossMonthlySalary, state.contractBase, state.dateRange.start ? formatDate(state.dateRange.start) : null);
             valueEl.textContent = `${rate.toFixed(2)} €/h`;
             display.style.display = 'flex';
         } else {
@@ -1105,6 +1773,19 @@ const App = (() => {
         }
     }
 
+    // --- Contract base: preset buttons or custom weekly duration ---
+    function updateContractBaseInputs() {
+        let preset = false;
+        document.querySelectorAll('.contract-btn').forEach(b => {
+            const active = parseFloat(b.dataset.base) === state.contractBase;
+            b.classList.toggle('active', active);
+            if (active) preset = true;
+        });
+        const custom = document.getElementById('contract-base-custom');
+        custom.value = preset ? '' : state.contractBase;
+        custom.classList.toggle('active', !preset);
+    }
+
     // --- Get period label ---
     function getPeriodLabel() {
         const activeBtn = document.querySelector('.range-btn.active');
@@ -1121,14 +1802,25 @@ const App = (() => {
     function updateResults() {
         if (state.mergedView) return; // Merged view has its own results
 
-        const hourlyRate = FrenchRules.calculateHourlyRate(state.grossMonthlySalary, state.contractBase);
-        const results = FrenchRules.processEntries(state.entries, hourlyRate, state.contractBase);
+        const hourlyRate = FrenchRules.calculateHourlyRate(state.grossMonthlySalary, state.contractBase, state.dateRange.start ? formatDate(state.dateRange.start) : null);
+        const results = FrenchRules.processEntries(state.entries, hourlyRate, state.contractBase, {
+            ...state.engineContext,
+            schedule: state.schedule,
+            holidayCalendar: state.holidayCalendar,
+            birthDate: state.birthDate,
+            premiumOverrides: premiumOverridesOf(state.premiumRates),
+            classification: state.classification,
+            hireDate: state.hireDate,
+            exitDate: state.exitDate
+        });
         state.currentResults = results;
 
-        const baseLegalHours = state.contractBase === 39 ? 39 : 35;
+        const baseLegalHours = state.contractBase === 39 ? 39 : Math.min(state.contractBase, 35);
 
-        // Total hours
-        document.getElementById('total-hours').textContent = FrenchRules.formatHours(results.totalHours);
+        // Total hours (days worked for a forfait-jours)
+        document.getElementById('total-hours').textContent = results.forfait
+            ? formatDays(results.totalDays)
+            : FrenchRules.formatHours(results.totalHours);
 
         // Hide weekly breakdown — replaced by period recap
         const weeklyContainer = document.getElementById('weekly-breakdown');
@@ -1139,7 +1831,28 @@ const App = (() => {
         let summaryHTML = `
             <div class="period-recap">
                 <h3 class="period-recap-title">${getPeriodLabel()}</h3>
-                <div class="summary-grid">
+                <div class="summary-grid">`;
+
+        if (results.forfait) {
+            // Forfait-jours: days worked against the annual forfait
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Jours travaillés</span>
+                        <span class="summary-value">${formatDays(results.totalDays)}</span>
+                    </div>`;
+            results.forfait.forEach(counter => {
+                summaryHTML += `
+                    <div class="summary-item ${counter.excess > 0 ? 'has-overtime' : ''}">
+                        <span class="summary-label">Forfait ${formatShortPeriod(counter.start, counter.end)}</span>
+                        <span class="summary-value">${counter.total} / ${counter.forfaitDays} j</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">${counter.excess > 0 ? 'Jours au-delà du forfait' : 'Jours restants'}</span>
+                        <span class="summary-value">${formatDays(counter.excess || counter.remaining)}</span>
+                    </div>`;
+            });
+        } else {
+            summaryHTML += `
                     <div class="summary-item">
                         <span class="summary-label">Heures totales</span>
                         <span class="summary-value">${FrenchRules.formatHours(results.totalHours)}</span>
@@ -1148,69 +1861,227 @@ const App = (() => {
                         <span class="summary-label">Heures supplémentaires</span>
                         <span class="summary-value overtime">${FrenchRules.formatHours(results.totalOvertime)}</span>
                     </div>`;
+        }
 
-        if (results.totalSundayHours > 0) {
+        // Part-time contract: heures complémentaires instead of overtime
+        if (!results.forfait && FrenchRules.isPartTime(state.contractBase)) {
             summaryHTML += `
                     <div class="summary-item">
-                        <span class="summary-label">Heures dimanche</span>
-                        <span class="summary-value">${FrenchRules.formatHours(results.totalSundayHours)}</span>
+                        <span class="summary-label">Heures complémentaires</span>
+                        <span class="summary-value overtime">${FrenchRules.formatHours(results.totalComplementaryHours)}</span>
                     </div>`;
         }
-        if (results.totalHolidayHours > 0) {
+
+        // Weeks straddling the period: overtime computed on the full civil week
+        const straddling = results.weeklyResults.filter(w => w.straddling);
+        if (straddling.length > 0) {
+            const policy = FrenchRules.CONFIG.straddlingWeekPolicy === 'prorata'
+                ? 'au prorata des heures de la période'
+                : 'à la période contenant le dimanche';
             summaryHTML += `
-                    <div class="summary-item">
-                        <span class="summary-label">Heures jours fériés</span>
-                        <span class="summary-value">${FrenchRules.formatHours(results.totalHolidayHours)}</span>
+                    <div class="summary-item" title="Heures sup. calculées sur la semaine civile complète et affectées ${policy}">
+                        <span class="summary-label">Semaines à cheval</span>
+                        <span class="summary-value">${straddling.map(w => `${w.week.slice(5)} (${FrenchRules.formatHours(w.straddling.fullHours)})`).join(', ')}</span>
                     </div>`;
         }
-        if (results.totalNightHours > 0) {
+
+        // Year-to-date overtime against the annual quota (contingent)
+        results.annualOvertime.forEach(counter => {
+            summaryHTML += `
+                    <div class="summary-item ${counter.hours > counter.quota ? 'has-overtime' : ''}">
+                        <span class="summary-label">Contingent ${counter.year}</span>
+                        <span class="summary-value">${FrenchRules.formatHours(counter.hours)} / ${counter.quota}h</span>
+                    </div>`;
+            if (counter.corHours > 0) {
+                summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Repos COR dû</span>
+                        <span class="summary-value">${FrenchRules.formatHours(counter.corHours)}</span>
+                    </div>`;
+            }
+        });
+
+        if (results.totalSundayHours > 0) {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Heures dimanche</span>
+                        <span class="summary-value">${FrenchRules.formatHours(results.totalSundayHours)}</span>
+                    </div>`;
+        }
+        if (results.totalHolidayHours > 0) {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Heures jours fériés</span>
+                        <span class="summary-value">${FrenchRules.formatHours(results.totalHolidayHours)}</span>
+                    </div>`;
+        }
+        // Running balance of each modulation period (compteur de modulation)
+        (results.modulation || []).forEach(period => {
+            summaryHTML += `
+                    <div class="summary-item ${period.closed && period.overtime > 0 ? 'has-overtime' : ''}">
+                        <span class="summary-label">Compteur modulation ${formatShortPeriod(period.start, period.end)}${period.closed ? ' (clos)' : ''}</span>
+                        <span class="summary-value">${period.balance >= 0 ? '+' : '−'}${FrenchRules.formatHours(Math.abs(period.balance))}</span>
+                    </div>`;
+        });
+
+        // Paid leave counters (congés payés) of the current reference period
+        const leave = results.paidLeave;
+        if (leave && (leave.acquired > 0 || leave.acquiring > 0 || leave.taken > 0)) {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">CP acquis (N-1)</span>
+                        <span class="summary-value">${formatDays(leave.acquired)}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">CP pris</span>
+                        <span class="summary-value">${formatDays(leave.takenBefore + leave.taken)}</span>
+                    </div>
+                    <div class="summary-item ${leave.balance < 0 ? 'has-overtime' : ''}">
+                        <span class="summary-label">Solde CP</span>
+                        <span class="summary-value">${formatDays(leave.balance)}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">CP en cours d'acquisition</span>
+                        <span class="summary-value">${formatDays(leave.acquiring)}</span>
+                    </div>`;
+        }
+        if (results.seniority) {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Ancienneté${results.seniority.exitDate ? ' (à la sortie)' : ''}</span>
+                        <span class="summary-value">${formatSeniority(results.seniority)}</span>
+                    </div>`;
+        }
+        // Journée de solidarité: hours worked against the yearly obligation
+        results.solidarity.filter(year => year.done > 0 || year.inPeriod).forEach(year => {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Journée de solidarité ${year.year}</span>
+                        <span class="summary-value">${FrenchRules.formatHours(year.done)} / ${FrenchRules.formatHours(year.obligation)}</span>
+                    </div>`;
+        });
+        results.absences.forEach(absence => {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">${absence.label}</span>
+                        <span class="summary-value">${absence.days} j (${FrenchRules.formatHours(absence.hours)})</span>
+                    </div>`;
+        });
+        if (results.splitDays > 0) {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Journées en coupure</span>
+                        <span class="summary-value">${results.splitDays}</span>
+                    </div>`;
+        }
+        if (results.totalNightHours > 0) {
             summaryHTML += `
                     <div class="summary-item">
                         <span class="summary-label">Heures de nuit</span>
                         <span class="summary-value">${FrenchRules.formatHours(results.totalNightHours)}</span>
                     </div>`;
         }
+        if (results.nightRestHours > 0) {
+            summaryHTML += `
+                    <div class="summary-item">
+                        <span class="summary-label">Repos compensateur nuit</span>
+                        <span class="summary-value">${FrenchRules.formatHours(results.nightRestHours)}</span>
+                    </div>`;
+        }
 
         summaryHTML += `</div>`;
 
         // Pay detail as "pour info" — no gross amounts, just hourly rate hint
         if (results.totalPay && results.totalPay.total > 0) {
+            // Amounts computed with an individual rate of the contract
+            const overrides = results.totalPay.overrides || [];
+            const mark = (...keys) => keys.some(key => overrides.includes(key))
+                ? ' <span class="override-mark" title="Taux individuel (contrat de travail)">★</span>'
+                : '';
             summaryHTML += `
                 <details class="pay-info-details">
                     <summary class="pay-info-summary">💰 Estimation rémunération (pour info)</summary>
                     <div class="pay-info-body">
                         <div class="pay-info-row">
-                            <span>Heures normales (≤${baseLegalHours}h/sem)</span>
+                            <span>Heures normales (≤${baseLegalHours}h/sem)${results.totalPay.structural > 0 ? mark('structural') : ''}</span>
                             <span>${results.totalPay.regular.toFixed(2)} €</span>
                         </div>`;
 
             if (results.totalPay.overtime > 0) {
                 summaryHTML += `
                         <div class="pay-info-row">
-                            <span>Heures sup. (${FrenchRules.formatHours(results.totalOvertime)})</span>
+                            <span>Heures sup. (${FrenchRules.formatHours(results.totalOvertime)})${mark('overtime')}</span>
                             <span>+${results.totalPay.overtime.toFixed(2)} €</span>
                         </div>`;
             }
+            if (results.totalPay.complementary > 0) {
+                summaryHTML += `
+                        <div class="pay-info-row">
+                            <span>Heures compl. (${FrenchRules.formatHours(results.totalComplementaryHours)})</span>
+                            <span>+${results.totalPay.complementary.toFixed(2)} €</span>
+                        </div>`;
+            }
             if (results.totalPay.sundayPremium > 0) {
                 summaryHTML += `
                         <div class="pay-info-row">
-                            <span>Majoration dimanche (${FrenchRules.formatHours(results.totalSundayHours)})</span>
+                            <span>Majoration dimanche (${FrenchRules.formatHours(results.totalSundayHours)})${mark('sundayPremium')}</span>
                             <span>+${results.totalPay.sundayPremium.toFixed(2)} €</span>
                         </div>`;
             }
             if (results.totalPay.holidayPremium > 0) {
                 summaryHTML += `
                         <div class="pay-info-row">
-                            <span>Majoration férié (${FrenchRules.formatHours(results.totalHolidayHours)})</span>
+                            <span>Majoration férié (${FrenchRules.formatHours(results.totalHolidayHours)})${mark('holidayPremium')}</span>
                             <span>+${results.totalPay.holidayPremium.toFixed(2)} €</span>
                         </div>`;
             }
+            if (results.totalPay.nightPremium > 0) {
+                summaryHTML += `
+                        <div class="pay-info-row">
+                            <span>Majoration nuit (${FrenchRules.formatHours(results.totalNightHours)})${mark('nightPremium')}</span>
+                            <span>+${results.totalPay.nightPremium.toFixed(2)} €</span>
+                        </div>`;
+            }
+            if (results.totalPay.seniorityBonus > 0) {
+                summaryHTML += `
+                        <div class="pay-info-row">
+                            <span>Prime d'ancienneté (${Math.round(results.seniority.bonusRate * 1000) / 10}%)</span>
+                            <span>+${results.totalPay.seniorityBonus.toFixed(2)} €</span>
+                        </div>`;
+            }
+            if (results.totalPay.absence > 0) {
+                summaryHTML += `
+                        <div class="pay-info-row">
+                            <span>Absences rémunérées</span>
+                            <span>+${results.totalPay.absence.toFixed(2)} €</span>
+                        </div>`;
+            }
+            if (leave && leave.pay) {
+                const dixiemeApplies = leave.pay.applied === 'dixieme';
+                summaryHTML += `
+                        <div class="pay-info-row">
+                            <span>CP : maintien de salaire ${dixiemeApplies ? '' : '✔'}</span>
+                            <span>${leave.pay.maintien.toFixed(2)} €</span>
+                        </div>
+                        <div class="pay-info-row">
+                            <span>CP : règle du dixième ${dixiemeApplies ? '✔' : ''}</span>
+                            <span>${leave.pay.dixieme.toFixed(2)} €</span>
+                        </div>`;
+                if (results.totalPay.paidLeaveAdjustment > 0) {
+                    summaryHTML += `
+                        <div class="pay-info-row">
+                            <span>Complément règle du dixième</span>
+                            <span>+${results.totalPay.paidLeaveAdjustment.toFixed(2)} €</span>
+                        </div>`;
+                }
+            }
 
             summaryHTML += `
                         <div class="pay-info-row pay-info-total">
                             <span>Total brut estimé</span>
                             <span>${results.totalPay.total.toFixed(2)} €</span>
                         </div>
+                        ${overrides.length > 0 ? '<div class="pay-info-note">★ Taux individuel prévu au contrat (au lieu du taux CCN)</div>' : ''}
                     </div>
                 </details>`;
         }
@@ -1222,8 +2093,16 @@ const App = (() => {
         const payDetailEl = document.getElementById('pay-detail-panel');
         payDetailEl.style.display = 'none';
 
-        // Warnings
-        const allWarnings = [];
+        // Warnings (salary below the SMIC / grid minimum first, then the errors reported by the employee)
+        const allWarnings = results.wageWarnings.map(w => ({ ...w, context: 'Salaire' }));
+        state.comments.filter(c => c.status === 'open').forEach(c => {
+            allWarnings.push({
+                type: 'warning',
+                context: `Signalement du ${parseDateLocal(c.date).toLocaleDateString('fr-FR')}`,
+                message: `${escapeHtml(c.message)} (${c.user || '—'})`,
+                commentId: c.id
+            });
+        });
         results.dailyResults.forEach(d => {
             d.warnings.forEach(w => {
                 allWarnings.push({ ...w, context: `${d.dayName} ${parseDateLocal(d.date).toLocaleDateString('fr-FR')}` });
@@ -1235,21 +2114,58 @@ const App = (() => {
             });
         });
 
+        // Blocking alerts (heures complémentaires beyond the legal cap) come first: they prevent the month from being closed
+        allWarnings.sort((a, b) => (b.blocking ? 1 : 0) - (a.blocking ? 1 : 0));
+
         const warningsEl = document.getElementById('warnings-panel');
         if (allWarnings.length > 0) {
             warningsEl.style.display = 'block';
             warningsEl.innerHTML = `
                 <h3 class="warnings-title">⚠️ Alertes réglementaires</h3>
                 ${allWarnings.map(w => `
-                    <div class="alert alert-${w.type}">
-                        <strong>${w.context}</strong> — ${w.message}
+                    <div class="alert alert-${w.type} ${w.blocking ? 'alert-blocking' : ''}">
+                        <strong>${w.blocking ? '🚫 ' : ''}${w.context}</strong> — ${w.message}${w.blocking ? ' : à corriger avant la clôture du mois' : ''}
+                        ${w.chart ? renderRollingChart(w.chart) : ''}
+                        ${w.commentId && ['admin', 'manager'].includes(currentRole())
+                            ? `<button class="btn btn-sm btn-ghost comment-resolve" data-id="${w.commentId}">✓ Traité</button>` : ''}
                     </div>`).join('')}
             `;
+            warningsEl.querySelectorAll('.comment-resolve').forEach(btn => {
+                btn.addEventListener('click', () => resolveComment(parseInt(btn.dataset.id)));
+            });
         } else {
             warningsEl.style.display = 'none';
         }
     }
 
+    function formatShortPeriod(start, end) {
+        const fmt = (d) => parseDateLocal(d).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' });
+        return `${fmt(start)} → ${fmt(end)}`;
+    }
+
+    function formatDays(days) {
+        return `${Math.round(days * 10) / 10} j`;
+    }
+
+    function formatSeniority(seniority) {
+        const years = seniority.years > 0 ? `${seniority.years} an${seniority.years > 1 ? 's' : ''} ` : '';
+        return `${years}${seniority.months} mois`;
+    }
+
+    // --- Rolling 12-week chart (weekly average alert) ---
+    function renderRollingChart(weeks) {
+        const limit = FrenchRules.CONFIG.weeklyAvgMaxHours;
+        const max = Math.max(FrenchRules.CONFIG.weeklyMaxHours, ...weeks.map(w => w.hours));
+        return `
+            <div class="rolling-chart">
+                <div class="rolling-limit" style="bottom:${(limit / max) * 100}%" title="${limit}h"></div>
+                ${weeks.map(w => `
+                    <div class="rolling-bar ${w.hours > limit ? 'over' : ''}"
+                        style="height:${(w.hours / max) * 100}%"
+                        title="${w.week} : ${FrenchRules.formatHours(w.hours)}"></div>`).join('')}
+            </div>`;
+    }
+
     // --- Modal ---
     function openModal() {
         document.getElementById('add-employee-modal').classList.add('active');
@@ -1261,10 +2177,1003 @@ const App = (() => {
         document.getElementById('add-employee-modal').classList.remove('active');
     }
 
+    // --- Settings modal (company rules applied to FrenchRules) ---
+    function openSettingsModal() {
+        const cfg = FrenchRules.CONFIG;
+        document.getElementById('setting-night-premium').value = Math.round(cfg.nightPremiumRate * 100);
+        document.getElementById('setting-night-rest').value = Math.round(cfg.nightRestRate * 100);
+        document.getElementById('setting-straddling-policy').value = cfg.straddlingWeekPolicy;
+        document.getElementById('setting-rounding-granularity').value = cfg.timeRounding.granularity;
+        document.getElementById('setting-rounding-direction').value = cfg.timeRounding.direction;
+        document.getElementById('setting-rounding-before').value = cfg.timeRounding.toleranceBefore;
+        document.getElementById('setting-rounding-after').value = cfg.timeRounding.toleranceAfter;
+        document.getElementById('setting-leave-start').value = cfg.paidLeavePeriodStartMonth;
+        document.getElementById('setting-leave-days').value = cfg.paidLeaveDaysPerMonth;
+        document.getElementById('closure-days-body').innerHTML = '';
+        cfg.closureDays.forEach(addClosureDayRow);
+        document.getElementById('solidarity-days-body').innerHTML = '';
+        Object.entries(cfg.solidarityDays).forEach(([year, setting]) => {
+            if (setting.mode === 'split') {
+                (setting.slots || []).forEach(slot => addSolidarityRow({ year, mode: 'split', ...slot }));
+            } else {
+                addSolidarityRow({ year, mode: setting.mode, date: setting.date });
+            }
+        });
+        document.getElementById('absence-types-body').innerHTML = '';
+        Object.entries(cfg.absenceTypes).forEach(([code, type]) => addAbsenceTypeRow(code, type));
+        document.getElementById('seniority-bonus-body').innerHTML = '';
+        cfg.seniorityBonus.forEach(addSeniorityBonusRow);
+        document.getElementById('settings-modal').classList.add('active');
+    }
+
+    function addAbsenceTypeRow(code, type) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="text" class="input absence-code" value="${code}" maxlength="5" placeholder="Code"></td>
+            <td><input type="text" class="input absence-label" value="${type.label}" placeholder="Libellé"></td>
+            <td><input type="checkbox" class="absence-work" ${type.countsAsWork ? 'checked' : ''}></td>
+            <td><input type="checkbox" class="absence-paid" ${type.paid ? 'checked' : ''}></td>
+            <td><button class="btn-remove-segment" title="Supprimer ce type">✕</button></td>
+        `;
+        tr.querySelector('button').addEventListener('click', () => tr.remove());
+        document.getElementById('absence-types-body').appendChild(tr);
+    }
+
+    function addSeniorityBonusRow(step) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="number" class="input seniority-years" min="0" step="1" value="${step.years}"></td>
+            <td><input type="number" class="input seniority-rate" min="0" step="0.5" value="${step.rate === '' ? '' : Math.round(step.rate * 1000) / 10}"></td>
+            <td><button class="btn-remove-segment" title="Supprimer ce palier">✕</button></td>
+        `;
+        tr.querySelector('button').addEventListener('click', () => tr.remove());
+        document.getElementById('seniority-bonus-body').appendChild(tr);
+    }
+
+    function readSeniorityBonus() {
+        return [...document.querySelectorAll('#seniority-bonus-body tr')]
+            .map(tr => ({
+                years: parseInt(tr.querySelector('.seniority-years').value),
+                rate: (parseFloat(tr.querySelector('.seniority-rate').value) || 0) / 100
+            }))
+            .filter(step => step.years >= 0 && step.rate > 0)
+            .sort((a, b) => a.years - b.years);
+    }
+
+    function addClosureDayRow(closure) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="date" class="input closure-date" value="${closure.date}"></td>
+            <td><input type="text" class="input closure-name" value="${closure.name}" placeholder="Pont, inventaire…"></td>
+            <td><button class="btn-remove-segment" title="Supprimer cette fermeture">✕</button></td>
+        `;
+        tr.querySelector('button').addEventListener('click', () => tr.remove());
+        document.getElementById('closure-days-body').appendChild(tr);
+    }
+
+    function readClosureDays() {
+        return [...document.querySelectorAll('#closure-days-body tr')]
+            .map(tr => ({
+                date: tr.querySelector('.closure-date').value,
+                name: tr.querySelector('.closure-name').value.trim() || 'Fermeture'
+            }))
+            .filter(closure => closure.date)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Journée de solidarité: one row per year, or one row per slot when the hours are split
+    function addSolidarityRow(row) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="number" class="input solidarity-year" value="${row.year}" min="2000" max="2100"></td>
+            <td>
+                <select class="input solidarity-mode">
+                    <option value="pentecost">Lundi de Pentecôte</option>
+                    <option value="date">Autre jour</option>
+                    <option value="split">Heures fractionnées</option>
+                </select>
+            </td>
+            <td><input type="date" class="input solidarity-date" value="${row.date || ''}"></td>
+            <td><input type="number" class="input solidarity-hours" value="${row.hours || ''}" min="0" max="7" step="0.25" placeholder="h"></td>
+            <td><button class="btn-remove-segment" title="Supprimer">✕</button></td>
+        `;
+        const mode = tr.querySelector('.solidarity-mode');
+        const toggleInputs = () => {
+            tr.querySelector('.solidarity-date').disabled = mode.value === 'pentecost';
+            tr.querySelector('.solidarity-hours').disabled = mode.value !== 'split';
+        };
+        mode.value = row.mode || 'pentecost';
+        mode.addEventListener('change', toggleInputs);
+        toggleInputs();
+        tr.querySelector('button').addEventListener('click', () => tr.remove());
+        document.getElementById('solidarity-days-body').appendChild(tr);
+    }
+
+    function readSolidarityDays() {
+        const days = {};
+        document.querySelectorAll('#solidarity-days-body tr').forEach(tr => {
+            const year = tr.querySelector('.solidarity-year').value;
+            const mode = tr.querySelector('.solidarity-mode').value;
+            const date = tr.querySelector('.solidarity-date').value;
+            const hours = parseFloat(tr.querySelector('.solidarity-hours').value) || 0;
+            if (!/^\d{4}$/.test(year) || (days[year] && days[year].mode !== 'split')) return;
+            if (mode === 'pentecost') {
+                days[year] = { mode };
+            } else if (mode === 'date' && date) {
+                days[year] = { mode, date };
+            } else if (mode === 'split' && date && hours > 0) {
+                if (!days[year]) days[year] = { mode, slots: [] };
+                days[year].slots.push({ date, hours });
+            }
+        });
+        return days;
+    }
+
+    function readAbsenceTypes() {
+        const types = {};
+        document.querySelectorAll('#absence-types-body tr').forEach(tr => {
+            const code = tr.querySelector('.absence-code').value.trim().toUpperCase();
+            if (!code) return;
+            types[code] = {
+                label: tr.querySelector('.absence-label').value.trim() || code,
+                countsAsWork: tr.querySelector('.absence-work').checked,
+                paid: tr.querySelector('.absence-paid').checked
+            };
+        });
+        return types;
+    }
+
+    function closeSettingsModal() {
+        document.getElementById('settings-modal').classList.remove('active');
+    }
+
+    async function saveSettingsModal() {
+        const settings = {
+            nightPremiumRate: (parseFloat(document.getElementById('setting-night-premium').value) || 0) / 100,
+            nightRestRate: (parseFloat(document.getElementById('setting-night-rest').value) || 0) / 100,
+            straddlingWeekPolicy: document.getElementById('setting-straddling-policy').value,
+            timeRounding: {
+                granularity: parseInt(document.getElementById('setting-rounding-granularity').value) || 0,
+                direction: document.getElementById('setting-rounding-direction').value,
+                toleranceBefore: parseInt(document.getElementById('setting-rounding-before').value) || 0,
+                toleranceAfter: parseInt(document.getElementById('setting-rounding-after').value) || 0
+            },
+            paidLeavePeriodStartMonth: parseInt(document.getElementById('setting-leave-start').value) || 6,
+            paidLeaveDaysPerMonth: parseFloat(document.getElementById('setting-leave-days').value) || 0,
+            absenceTypes: readAbsenceTypes(),
+            closureDays: readClosureDays(),
+            solidarityDays: readSolidarityDays(),
+            seniorityBonus: readSeniorityBonus()
+        };
+        try {
+            const result = await API.saveSettings(settings);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            FrenchRules.configure(settings);
+            closeSettingsModal();
+            // The leave reference period may have moved: reload the engine context
+            await refreshEngineContext();
+            renderEntries();
+            showToast('Paramètres enregistrés', 'success');
+        } catch (e) {
+            showToast('Erreur lors de l\'enregistrement', 'error');
+        }
+    }
+
+    // --- History modal (audit trail of an employee or of one of its days) ---
+    const HISTORY_ACTIONS = { create: 'Création', update: 'Modification', delete: 'Suppression', revert: 'Annulation' };
+    const EMPLOYEE_FIELD_LABELS = {
+        name: 'Nom',
+        gross_monthly_salary: 'Salaire brut',
+        contract_base: 'Base contrat',
+        work_schedule: 'Aménagement',
+        cycle_weeks: 'Semaines du cycle',
+        schedule_anchor: 'Début de période',
+        forfait_days: 'Jours du forfait',
+        holiday_calendar: 'Calendrier des fériés',
+        birth_date: 'Date de naissance',
+        sunday_premium_rate: 'Maj. dimanche',
+        holiday_premium_rate: 'Maj. férié',
+        night_premium_rate: 'Maj. nuit',
+        overtime_first_rate: 'HS 1re tranche',
+        overtime_second_rate: 'HS 2e tranche',
+        classification: 'Classification',
+        hire_date: 'Date d\'embauche',
+        exit_date: 'Date de sortie'
+    };
+
+    let historyDate = null;
+
+    async function openHistoryModal(date = null) {
+        if (!state.currentEmployeeId) return;
+        historyDate = date;
+        const emp = state.employees.find(e => e.id === state.currentEmployeeId);
+        document.getElementById('history-modal-title').textContent = date
+            ? `Historique du ${parseDateLocal(date).toLocaleDateString('fr-FR')}`
+            : `Historique — ${emp ? emp.name : ''}`;
+        await renderHistory();
+        document.getElementById('history-modal').classList.add('active');
+    }
+
+    function closeHistoryModal() {
+        document.getElementById('history-modal').classList.remove('active');
+    }
+
+    async function renderHistory() {
+        const list = document.getElementById('history-list');
+        let changes;
+        try {
+            changes = await API.getHistory(state.currentEmployeeId, historyDate);
+            if (changes.error) throw new Error(changes.error);
+        } catch (e) {
+            showToast('Erreur lors du chargement de l\'historique', 'error');
+            return;
+        }
+        if (changes.length === 0) {
+            list.innerHTML = '<p class="history-empty">Aucune modification enregistrée.</p>';
+            return;
+        }
+        list.innerHTML = changes.map(change => {
+            const revertible = change.entity === 'entry' || (change.entity === 'employee' && ['update', 'revert'].includes(change.action));
+            const day = change.date ? parseDateLocal(change.date).toLocaleDateString('fr-FR') : '';
+            const subject = change.entity === 'entry' ? `Saisie du ${day}`
+                : change.entity === 'comment' ? `Signalement du ${day}`
+                    : change.entity === 'closing' ? 'Clôture mensuelle'
+                        : change.entity === 'punch' ? `Pointage du ${day}`
+                            : change.entity === 'pin' ? 'Code de pointage'
+                                : 'Fiche employé';
+            return `
+                <div class="history-item">
+                    <div class="history-meta">
+                        <span class="history-action history-${escapeHtml(change.action)}">${escapeHtml(HISTORY_ACTIONS[change.action] || change.action)}</span>
+                        <span>${subject}</span>
+                        <span class="history-when">${new Date(`${change.created_at.replace(' ', 'T')}Z`).toLocaleString('fr-FR')} · ${escapeHtml(change.user || '—')}</span>
+                    </div>
+                    <div class="history-diff">${describeChange(change)}</div>
+                    ${revertible ? `<button class="btn btn-sm btn-ghost history-revert" data-id="${change.id}" title="Rétablir la valeur précédente">↩ Annuler</button>` : ''}
+                </div>`;
+        }).join('');
+        list.querySelectorAll('.history-revert').forEach(btn => {
+            btn.addEventListener('click', () => revertHistoryChange(parseInt(btn.dataset.id)));
+        });
+    }
+
+    function describeEntryValue(value) {
+        if (!value) return 'vide';
+        const absence = FrenchRules.getAbsenceType(value);
+        if (absence) return absence.label;
+        const segments = value.segments || [value];
+        return segments
+            .map(seg => `${seg.start || '?'}–${seg.end || '?'}${seg.breakDuration ? ` (pause ${seg.breakDuration} min)` : ''}`)
+            .join(' / ');
+    }
+
+    // Values come from what users typed (names, labels, reasons): every one is escaped
+    function describeChange(change) {
+        if (change.entity === 'entry') {
+            return `${escapeHtml(describeEntryValue(change.old_value))} → ${escapeHtml(describeEntryValue(change.new_value))}`;
+        }
+        if (change.entity === 'closing') {
+            const { month, status, reason } = change.new_value;
+            const label = escapeHtml(formatMonth(month));
+            return status === 'reopened' ? `${label} rouvert — ${escapeHtml(reason)}` : `${label} clôturé`;
+        }
+        if (change.entity === 'punch') {
+            const describe = (punch) => punch
+                ? `${PUNCH_LABELS[punch.kind]} ${punch.time}${punch.next_day ? ' (+1 j)' : ''}`
+                : 'aucun';
+            return `${escapeHtml(describe(change.old_value))} → ${escapeHtml(describe(change.new_value))}`;
+        }
+        if (change.entity === 'pin') {
+            return change.new_value.has_pin ? 'Code défini' : 'Code supprimé';
+        }
+        if (change.entity === 'comment') {
+            return `${escapeHtml(change.new_value.message)}${change.new_value.status === 'resolved' ? ' — traité' : ''}`;
+        }
+        if (!change.old_value || !change.new_value) return escapeHtml(change.new_value ? change.new_value.name : change.old_value.name);
+        const format = (v) => v === null || v === '' ? '—' : escapeHtml(v);
+        return Object.keys(EMPLOYEE_FIELD_LABELS)
+            .filter(field => change.old_value[field] !== change.new_value[field])
+            .map(field => `${EMPLOYEE_FIELD_LABELS[field]} : ${format(change.old_value[field])} → ${format(change.new_value[field])}`)
+            .join('<br>') || 'Aucun changement';
+    }
+
+    async function revertHistoryChange(id) {
+        if (!confirm('Rétablir la valeur précédant cette modification ?')) return;
+        try {
+            const result = await API.revertChange(id);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            if (result.employee) {
+                await refreshEmployeeList();
+                await selectEmployee(state.currentEmployeeId);
+            } else {
+                await loadCurrentEntries();
+            }
+            await renderHistory();
+            showToast('Modification annulée', 'success');
+        } catch (e) {
+            showToast('Erreur lors de l\'annulation', 'error');
+        }
+    }
+
+    // --- Comments (errors reported by an employee on a day) ---
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    function renderDayComments(date) {
+        const comments = state.comments.filter(c => c.date === date);
+        if (comments.length === 0) return '';
+        const open = comments.some(c => c.status === 'open');
+        const title = comments
+            .map(c => `${c.status === 'open' ? '• ' : '✓ '}${c.message} (${c.user || '—'})`)
+            .join('\n');
+        return `<span class="comment-badge ${open ? 'open' : ''}" title="${escapeHtml(title).replace(/"/g, '&quot;')}">💬 ${open ? 'Signalé' : 'Traité'}</span>`;
+    }
+
+    async function reportDayError(date) {
+        const message = prompt(`Signaler une erreur sur le ${parseDateLocal(date).toLocaleDateString('fr-FR')} (le message sera transmis à votre responsable) :`);
+        if (!message || !message.trim()) return;
+        try {
+            const result = await API.reportError(state.currentEmployeeId, date, message.trim());
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            state.comments.push(result);
+            renderEntries();
+            updateResults();
+            showToast('Signalement envoyé', 'success');
+        } catch (e) {
+            showToast('Erreur lors de l\'envoi du signalement', 'error');
+        }
+    }
+
+    async function resolveComment(id) {
+        try {
+            const result = await API.resolveComment(id);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            state.comments = state.comments.map(c => c.id === id ? result : c);
+            renderEntries();
+            updateResults();
+            showToast('Signalement traité', 'success');
+        } catch (e) {
+            showToast('Erreur lors de l\'enregistrement', 'error');
+        }
+    }
+
+    // --- Time clock (PIN badges and review of the kiosk punches) ---
+    const PUNCH_LABELS = { in: 'Entrée', break_start: 'Début de pause', break_end: 'Fin de pause', out: 'Sortie' };
+    let punchDays = [];
+
+    async function editEmployeePin() {
+        const emp = state.employees.find(e => e.id === state.currentEmployeeId);
+        if (!emp) return;
+        const pin = prompt(`Code de pointage de ${emp.name} (4 à 8 chiffres${emp.has_pin ? ', vide pour le supprimer' : ''}) :`);
+        if (pin === null || (pin === '' && !emp.has_pin)) return;
+        try {
+            const result = await API.setEmployeePin(emp.id, pin === '' ? null : pin);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            emp.has_pin = result.has_pin;
+            document.getElementById('btn-employee-pin').classList.toggle('active', emp.has_pin);
+            showToast(emp.has_pin ? 'Code de pointage enregistré' : 'Code de pointage supprimé', 'success');
+        } catch (e) {
+            showToast('Erreur lors de l\'enregistrement', 'error');
+        }
+    }
+
+    async function openPunchesModal() {
+        if (!state.dateRange.start || !state.dateRange.end) return;
+        document.getElementById('punches-modal-title').textContent =
+            `Pointages — ${formatShortPeriod(formatDate(state.dateRange.start), formatDate(state.dateRange.end))}`;
+        document.getElementById('punch-employee').innerHTML = state.employees
+            .map(emp => `<option value="${emp.id}" ${emp.id === state.currentEmployeeId ? 'selected' : ''}>${emp.name}</option>`).join('');
+        document.getElementById('punch-date').value = formatDate(state.dateRange.start);
+        await loadPunches();
+        document.getElementById('punches-modal').classList.add('active');
+    }
+
+    async function closePunchesModal() {
+        document.getElementById('punches-modal').classList.remove('active');
+        // Corrections rewrote the stored days
+        if (state.currentEmployeeId && !state.mergedView) await loadCurrentEntries();
+    }
+
+    async function loadPunches() {
+        try {
+            const days = await API.getPunches(formatDate(state.dateRange.start), formatDate(state.dateRange.end));
+            if (days.error) throw new Error(days.error);
+            punchDays = days;
+        } catch (e) {
+            showToast('Erreur lors du chargement des pointages', 'error');
+            punchDays = [];
+        }
+        renderPunches();
+    }
+
+    function renderPunches() {
+        const list = document.getElementById('punches-list');
+        const anomaliesOnly = document.getElementById('punches-anomalies-only').checked;
+        const days = anomaliesOnly ? punchDays.filter(day => day.anomalies.length > 0) : punchDays;
+        if (days.length === 0) {
+            list.innerHTML = `<p class="history-empty">${anomaliesOnly ? 'Aucune anomalie de pointage sur la période.' : 'Aucun pointage sur la période.'}</p>`;
+            return;
+        }
+        list.innerHTML = days.map(day => `
+            <div class="history-item punch-day ${day.anomalies.length > 0 ? 'has-anomaly' : ''}">
+                <div class="history-meta">
+                    <span class="history-action">${day.employee_name}</span>
+                    <span>${parseDateLocal(day.date).toLocaleDateString('fr-FR', { weekday: 'short', day: '2-digit', month: '2-digit' })}</span>
+                    <span class="history-when">${day.segments.map(seg => `${seg.start}–${seg.end || '?'}${seg.breakDuration ? ` (pause ${seg.breakDuration} min)` : ''}`).join(' / ')}</span>
+                </div>
+                <div class="punch-list">
+                    ${day.punches.map(punch => `
+                        <span class="punch-chip" data-id="${punch.id}" title="${punch.source === 'manager' ? 'Corrigé par un responsable' : 'Borne de pointage'}">
+                            ${PUNCH_LABELS[punch.kind]}
+                            <input type="time" class="input punch-time" value="${punch.time}" step="60">
+                            ${punch.next_day ? '<span class="punch-next-day">+1 j</span>' : ''}
+                            <button class="btn-remove-segment punch-delete" title="Supprimer ce pointage">✕</button>
+                        </span>`).join('')}
+                </div>
+                ${day.anomalies.map(a => `<div class="alert alert-warning">${a}</div>`).join('')}
+                ${day.edited_by_hand ? `<button class="btn btn-sm btn-ghost punch-apply" data-employee="${day.employee_id}" data-date="${day.date}" title="Remplacer les horaires saisis par ceux des pointages">Reporter les pointages</button>` : ''}
+            </div>`).join('');
+        list.querySelectorAll('.punch-chip').forEach(chip => {
+            const id = parseInt(chip.dataset.id);
+            chip.querySelector('.punch-time').addEventListener('change', (e) => {
+                if (e.target.value) updatePunch({ id, time: e.target.value });
+            });
+            chip.querySelector('.punch-delete').addEventListener('click', () => removePunch(id));
+        });
+        list.querySelectorAll('.punch-apply').forEach(btn => {
+            btn.addEventListener('click', () => applyPunches(parseInt(btn.dataset.employee), btn.dataset.date));
+        });
+    }
+
+    async function applyPunches(employeeId, date) {
+        if (!confirm('Remplacer les horaires saisis à la main par ceux des pointages ?')) return;
+        try {
+            const result = await API.applyPunches(employeeId, date);
+            if (result.error) showToast(result.error, 'error');
+        } catch (e) {
+            showToast('Erreur lors de l\'enregistrement', 'error');
+        }
+        await loadPunches();
+    }
+
+    async function updatePunch(punch) {
+        try {
+            const result = await API.savePunch(punch);
+            if (result.error) showToast(result.error, 'error');
+        } catch (e) {
+            showToast('Erreur lors de l\'enregistrement', 'error');
+        }
+        await loadPunches();
+    }
+
+    async function addPunch() {
+        const time = document.getElementById('punch-time').value;
+        if (!time) {
+            showToast('Veuillez saisir l\'heure du pointage', 'warning');
+            return;
+        }
+        await updatePunch({
+            employee_id: parseInt(document.getElementById('punch-employee').value),
+            date: document.getElementById('punch-date').value,
+            kind: document.getElementById('punch-kind').value,
+            time,
+            next_day: document.getElementById('punch-next-day').checked
+        });
+    }
+
+    async function removePunch(id) {
+        if (!confirm('Supprimer ce pointage ?')) return;
+        try {
+            const result = await API.deletePunch(id);
+            if (result.error) showToast(result.error, 'error');
+        } catch (e) {
+            showToast('Erreur lors de la suppression', 'error');
+        }
+        await loadPunches();
+    }
+
+    // --- Monthly closing (clôture) ---
+    function formatMonth(month) {
+        return `${month.slice(5)}/${month.slice(0, 4)}`;
+    }
+
+    async function openClosingModal() {
+        document.getElementById('closing-month').value = formatDate(state.dateRange.start || new Date()).slice(0, 7);
+        const emp = state.employees.find(e => e.id === state.currentEmployeeId);
+        document.getElementById('closing-scope').innerHTML = `<option value="">Tous les employés</option>
+            ${emp ? `<option value="${emp.id}" selected>${escapeHtml(emp.name)}</option>` : ''}`;
+        await renderClosings();
+        document.getElementById('closing-modal').classList.add('active');
+    }
+
+    async function closeClosingModal() {
+        document.getElementById('closing-modal').classList.remove('active');
+        // A closing or a reopening changes which days can be edited
+        if (state.currentEmployeeId && !state.mergedView) await loadCurrentEntries();
+    }
+
+    async function renderClosings() {
+        const list = document.getElementById('closings-list');
+        const month = document.getElementById('closing-month').value;
+        if (!month) {
+            list.innerHTML = '';
+            return;
+        }
+        let closings;
+        try {
+            closings = await API.getClosings(month);
+            if (closings.error) throw new Error(closings.error);
+        } catch (e) {
+            showToast('Erreur lors du chargement des clôtures', 'error');
+            return;
+        }
+        if (closings.length === 0) {
+            list.innerHTML = `<p class="history-empty">${formatMonth(month)} n'est clôturé pour aucun employé.</p>`;
+            return;
+        }
+        const when = (at) => new Date(`${at.replace(' ', 'T')}Z`).toLocaleString('fr-FR');
+        list.innerHTML = closings.map(({ summary, ...closing }) => `
+            <div class="history-item closing-item ${closing.reopened_at ? 'reopened' : ''}">
+                <div class="history-meta">
+                    <span class="history-action">${escapeHtml(closing.employee_name)}</span>
+                    <span>${closing.reopened_at ? 'Rouvert' : '🔒 Clôturé'}</span>
+                    <span class="history-when">${when(closing.closed_at)} · ${closing.closed_by || '—'}</span>
+                </div>
+                <div class="history-diff">
+                    ${FrenchRules.formatHours(summary.totalHours)} travaillées${summary.totalOvertime ? ` · ${FrenchRules.formatHours(summary.totalOvertime)} sup.` : ''}${summary.totalAbsenceHours ? ` · ${FrenchRules.formatHours(summary.totalAbsenceHours)} d'absence` : ''}${summary.totalPay !== null ? ` · Brut : ${summary.totalPay.toFixed(2)} €` : ''}
+                    ${closing.reopened_at ? `<br>Rouvert le ${when(closing.reopened_at)} par ${closing.reopened_by || '—'} : ${escapeHtml(closing.reopen_reason)}` : ''}
+                </div>
+                ${closing.reopened_at ? '' : `<button class="btn btn-sm btn-ghost closing-reopen" data-id="${closing.id}" title="Rouvrir le mois (administrateur)">Rouvrir</button>`}
+            </div>`).join('');
+        list.querySelectorAll('.closing-reopen').forEach(btn => {
+            btn.addEventListener('click', () => reopenClosing(parseInt(btn.dataset.id)));
+        });
+    }
+
+    async function closeMonth() {
+        const month = document.getElementById('closing-month').value;
+        if (!month) {
+            showToast('Veuillez choisir le mois à clôturer', 'warning');
+            return;
+        }
+        const employeeId = parseInt(document.getElementById('closing-scope').value) || null;
+        const emp = state.employees.find(e => e.id === employeeId);
+        if (!confirm(`Clôturer ${formatMonth(month)} pour ${emp ? emp.name : 'tous les employés'} ? Les saisies du mois ne pourront plus être modifiées.`)) return;
+        try {
+            const result = await API.closeMonth(month, employeeId);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            showToast(result.length > 1 ? `Mois clôturé pour ${result.length} employés` : 'Mois clôturé', 'success');
+        } catch (e) {
+            showToast('Erreur lors de la clôture', 'error');
+        }
+        await renderClosings();
+    }
+
+    async function reopenClosing(id) {
+        const reason = prompt('Motif de la réouverture (conservé dans l\'historique) :');
+        if (!reason || !reason.trim()) return;
+        try {
+            const result = await API.reopenClosing(id, reason.trim());
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            showToast('Mois rouvert', 'success');
+        } catch (e) {
+            showToast('Erreur lors de la réouverture', 'error');
+        }
+        await renderClosings();
+    }
+
+    // --- Roles (admin / manager / accountant / employee) ---
+    const ROLE_LABELS = { admin: 'Administrateur', manager: 'Gestionnaire', accountant: 'Comptable', employee: 'Employé', kiosk: 'Borne de pointage' };
+
+    // Without auth every visitor is an admin; the server enforces the same rules
+    function currentRole() {
+        return state.user ? state.user.role : 'admin';
+    }
+
+    // Hide or lock what the signed-in role may not change (body.role-* classes, see style.css)
+    function applyRolePermissions() {
+        const role = currentRole();
+        document.body.classList.add(`role-${role}`);
+        if (state.user) {
+            document.getElementById('btn-account').style.display = '';
+            document.getElementById('account-name').textContent = state.user.username;
+        }
+        if (role === 'admin') {
+            document.getElementById('btn-users').style.display = '';
+            return;
+        }
+        const readOnly = role === 'accountant' || role === 'employee';
+        const locked = readOnly
+            ? '#config-panel input, #config-panel select, #config-panel .contract-btn'
+            : '#gross-salary, .premium-rate-input';
+        // The period stays selectable; an employee account is pinned to its own record
+        const free = role === 'employee' ? ['month-picker', 'date-start', 'date-end'] : ['month-picker', 'date-start', 'date-end', 'employee-select'];
+        document.querySelectorAll(locked).forEach(input => {
+            if (!free.includes(input.id)) input.disabled = true;
+        });
+    }
+
+    // --- Users modal (accounts and roles, admin only) ---
+    async function openUsersModal() {
+        document.getElementById('new-user-name').value = '';
+        document.getElementById('new-user-password').value = '';
+        document.getElementById('new-user-role').innerHTML = roleOptions('manager');
+        document.getElementById('new-user-employee').innerHTML = state.employees
+            .map(emp => `<option value="${emp.id}">${emp.name}</option>`).join('');
+        document.getElementById('new-user-employee-group').style.display = 'none';
+        await renderUsers();
+        document.getElementById('users-modal').classList.add('active');
+    }
+
+    function closeUsersModal() {
+        document.getElementById('users-modal').classList.remove('active');
+    }
+
+    // Self-service accounts keep their role, the employee is chosen at creation
+    function roleOptions(selected, withEmployee = true) {
+        return Object.entries(ROLE_LABELS)
+            .filter(([role]) => withEmployee || role !== 'employee')
+            .map(([role, label]) => `<option value="${role}" ${role === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+    }
+
+    async function renderUsers() {
+        const body = document.getElementById('users-body');
+        let users;
+        try {
+            users = await API.getUsers();
+            if (users.error) throw new Error(users.error);
+        } catch (e) {
+            showToast('Erreur lors du chargement des utilisateurs', 'error');
+            return;
+        }
+        if (users.length === 0) {
+            body.innerHTML = `<tr><td colspan="4" class="history-empty">Aucun compte : l'application est accessible sans connexion.
+                Le premier compte créé doit être administrateur et active l'authentification.</td></tr>`;
+            return;
+        }
+        body.innerHTML = users.map(user => `
+            <tr data-id="${user.id}">
+                <td>${user.username}${state.user && user.id === state.user.id ? ' <span class="user-self">(vous)</span>' : ''}
+                    ${user.mustChangePassword ? '<span class="user-pending" title="Mot de passe provisoire à changer">provisoire</span>' : ''}</td>
+                <td>${user.role === 'employee'
+                    ? `Employé — ${(state.employees.find(emp => emp.id === user.employeeId) || {}).name || '?'}`
+                    : `<select class="input user-role-select">${roleOptions(user.role, false)}</select>`}</td>
+                <td><button class="btn btn-sm btn-ghost user-reset" title="Définir un mot de passe provisoire">Réinitialiser</button></td>
+                <td><button class="btn-remove-segment user-delete" title="Supprimer le compte">✕</button></td>
+            </tr>`).join('');
+        body.querySelectorAll('tr[data-id]').forEach(row => {
+            const user = users.find(u => u.id === parseInt(row.dataset.id));
+            row.querySelector('.user-role-select')?.addEventListener('change', (e) => updateUser({ id: user.id, role: e.target.value }));
+            row.querySelector('.user-reset').addEventListener('click', () => {
+                const password = prompt(`Nouveau mot de passe provisoire pour ${user.username} (8 caractères minimum) :`);
+                if (password) updateUser({ id: user.id, password }, 'Mot de passe réinitialisé');
+            });
+            row.querySelector('.user-delete').addEventListener('click', () => deleteUser(user));
+        });
+    }
+
+    async function updateUser(changes, message = 'Rôle modifié') {
+        try {
+            const result = await API.saveUser(changes);
+            if (result.error) {
+                showToast(result.error, 'error');
+            } else {
+                showToast(message, 'success');
+            }
+        } catch (e) {
+            showToast('Erreur lors de l\'enregistrement', 'error');
+        }
+        await renderUsers();
+    }
+
+    async function addUser() {
+        const username = document.getElementById('new-user-name').value.trim();
+        const password = document.getElementById('new-user-password').value;
+        const role = document.getElementById('new-user-role').value;
+        const employeeId = role === 'employee' ? parseInt(document.getElementById('new-user-employee').value) || null : null;
+        try {
+            const result = await API.saveUser({ username, password, role, employee_id: employeeId });
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            // The first account turns authentication on, this session is now signed in with it
+            if (!state.user) {
+                window.location.reload();
+                return;
+            }
+            document.getElementById('new-user-name').value = '';
+            document.getElementById('new-user-password').value = '';
+            await renderUsers();
+            showToast(`Compte ${result.username} créé`, 'success');
+        } catch (e) {
+            showToast('Erreur lors de la création du compte', 'error');
+        }
+    }
+
+    async function deleteUser(user) {
+        if (!confirm(`Supprimer le compte ${user.username} ?`)) return;
+        try {
+            const result = await API.deleteUser(user.id);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            await renderUsers();
+            showToast('Compte supprimé', 'success');
+        } catch (e) {
+            showToast('Erreur lors de la suppression', 'error');
+        }
+    }
+
+    // --- Own password (forced after a reset by an admin) ---
+    let passwordChangeForced = false;
+
+    function openPasswordModal(forced = false) {
+        passwordChangeForced = forced;
+        document.getElementById('password-modal-desc').textContent = forced
+            ? 'Votre mot de passe est provisoire : choisissez-en un nouveau pour continuer.'
+            : `Connecté en tant que ${state.user.username} (${ROLE_LABELS[state.user.role]}).`;
+        document.getElementById('password-modal-close').style.display = forced ? 'none' : '';
+        ['current-password', 'new-password', 'confirm-password'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('password-modal').classList.add('active');
+    }
+
+    function closePasswordModal() {
+        if (passwordChangeForced) return;
+        document.getElementById('password-modal').classList.remove('active');
+    }
+
+    async function submitPasswordChange() {
+        const newPassword = document.getElementById('new-password').value;
+        if (newPassword !== document.getElementById('confirm-password').value) {
+            showToast('Les deux mots de passe ne correspondent pas', 'error');
+            return;
+        }
+        try {
+            const result = await API.changePassword(document.getElementById('current-password').value, newPassword);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            state.user.mustChangePassword = false;
+            passwordChangeForced = false;
+            closePasswordModal();
+            showToast('Mot de passe modifié', 'success');
+        } catch (e) {
+            showToast('Erreur lors du changement de mot de passe', 'error');
+        }
+    }
+
+    // --- Rule sets modal (effective-dated conventional rates) ---
+    async function openRulesModal() {
+        const list = document.getElementById('rule-sets-list');
+        list.innerHTML = '';
+        try {
+            const ruleSets = await API.getRuleSets();
+            ruleSets.forEach(addRuleSetCard);
+        } catch (e) {
+            showToast('Erreur lors du chargement des règles', 'error');
+            return;
+        }
+        document.getElementById('rules-modal').classList.add('active');
+    }
+
+    function closeRulesModal() {
+        document.getElementById('rules-modal').classList.remove('active');
+    }
+
+    function addRuleSetCard(ruleSet) {
+        const rules = { ...FrenchRules.getRules(), ...ruleSet.rules };
+        const [first, second] = rules.overtimeBrackets;
+        const pct = (rate) => Math.round(rate * 100);
+        const today = formatDate(new Date());
+        const active = ruleSet.id && ruleSet.valid_from <= today && (!ruleSet.valid_to || today <= ruleSet.valid_to);
+
+        const card = document.createElement('div');
+        card.className = `rule-set-card ${active ? 'rule-set-active' : ''}`;
+        card.innerHTML = `
+            <div class="input-row">
+                <div class="input-group">
+                    <label class="input-label">Valable du</label>
+                    <input type="date" class="input rule-from" value="${ruleSet.valid_from}">
+                </div>
+                <div class="input-group">
+                    <label class="input-label">au (vide = sans fin)</label>
+                    <input type="date" class="input rule-to" value="${ruleSet.valid_to || ''}">
+                </div>
+            </div>
+            <div class="input-row">
+                <div class="input-group">
+                    <label class="input-label">Dimanche</label>
+                    <div class="input-with-suffix">
+                        <input type="number" class="input rule-sunday" min="0" step="1" value="${pct(rules.sundayPremiumRate)}">
+                        <span class="input-suffix">%</span>
+                    </div>
+                </div>
+                <div class="input-group">
+                    <label class="input-label">Jour férié</label>
+                    <div class="input-with-suffix">
+                        <input type="number" class="input rule-holiday" min="0" step="1" value="${pct(rules.holidayPremiumRate)}">
+                        <span class="input-suffix">%</span>
+                    </div>
+                </div>
+            </div>
+            <div class="input-row">
+                <div class="input-group">
+                    <label class="input-label">Heures sup. 1re tranche</label>
+                    <div class="input-with-suffix">
+                        <input type="number" class="input rule-ot1" min="0" step="1" value="${pct(first.rate - 1)}">
+                        <span class="input-suffix">%</span>
+                    </div>
+                </div>
+                <div class="input-group">
+                    <label class="input-label">jusqu'à</label>
+                    <div class="input-with-suffix">
+                        <input type="number" class="input rule-ot1-to" min="36" step="1" value="${first.to}">
+                        <span class="input-suffix">h</span>
+                    </div>
+                </div>
+                <div class="input-group">
+                    <label class="input-label">Au-delà</label>
+                    <div class="input-with-suffix">
+                        <input type="number" class="input rule-ot2" min="0" step="1" value="${pct(second.rate - 1)}">
+                        <span class="input-suffix">%</span>
+                    </div>
+                </div>
+            </div>
+            <label class="input-label">Heures mensuelles par base contrat</label>
+            <div class="input-row">
+                ${Object.entries(rules.contractBases).map(([base, hours]) => `
+                <div class="input-group">
+                    <label class="input-label">${base}h</label>
+                    <input type="number" class="input rule-base" data-base="${base}" min="0" step="0.01" value="${hours}">
+                </div>`).join('')}
+            </div>
+            <div class="input-row">
+                <div class="input-group">
+                    <label class="input-label">SMIC horaire brut</label>
+                    <div class="input-with-suffix">
+                        <input type="number" class="input rule-smic" min="0" step="0.01" value="${rules.smicHourlyRate}">
+                        <span class="input-suffix">€/h</span>
+                    </div>
+                </div>
+            </div>
+            <label class="input-label">Grille des salaires minima (brut mensuel pour 35h)</label>
+            <table class="absence-types-table salary-grid-table">
+                <thead><tr><th>Niveau</th><th>Échelon</th><th>Minimum mensuel</th><th></th></tr></thead>
+                <tbody class="rule-grid-body"></tbody>
+            </table>
+            <button class="btn btn-ghost btn-sm rule-grid-add">+ Ajouter un échelon</button>
+            <div class="rule-set-actions">
+                ${ruleSet.id ? '<button class="btn btn-sm btn-secondary rule-delete">Supprimer</button>' : ''}
+                <button class="btn btn-sm btn-accent rule-save">Enregistrer</button>
+            </div>
+        `;
+
+        rules.salaryGrid.forEach(row => addSalaryGridRow(card, row));
+        card.querySelector('.rule-grid-add').addEventListener('click', () => addSalaryGridRow(card));
+        card.querySelector('.rule-save').addEventListener('click', () => saveRuleSetCard(card, ruleSet.id));
+        card.querySelector('.rule-delete')?.addEventListener('click', async () => {
+            if (!confirm('Supprimer ce jeu de règles ?')) return;
+            const result = await API.deleteRuleSet(ruleSet.id);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            card.remove();
+            await reloadRuleSets();
+            showToast('Jeu de règles supprimé', 'info');
+        });
+        document.getElementById('rule-sets-list').appendChild(card);
+    }
+
+    function addSalaryGridRow(card, row = { level: '', echelon: 1, minMonthly: '' }) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="text" class="input grid-level" value="${row.level}" placeholder="III"></td>
+            <td><input type="number" class="input grid-echelon" min="1" step="1" value="${row.echelon}"></td>
+            <td><input type="number" class="input grid-min" min="0" step="0.01" value="${row.minMonthly}"></td>
+            <td><button class="btn-remove-segment grid-remove" title="Supprimer cet échelon">✕</button></td>
+        `;
+        tr.querySelector('.grid-remove').addEventListener('click', () => tr.remove());
+        card.querySelector('.rule-grid-body').appendChild(tr);
+    }
+
+    function readSalaryGrid(card) {
+        return [...card.querySelectorAll('.rule-grid-body tr')]
+            .map(tr => ({
+                level: tr.querySelector('.grid-level').value.trim(),
+                echelon: parseInt(tr.querySelector('.grid-echelon').value) || 0,
+                minMonthly: parseFloat(tr.querySelector('.grid-min').value) || 0
+            }))
+            .filter(row => row.level);
+    }
+
+    async function saveRuleSetCard(card, id) {
+        const value = (selector) => parseFloat(card.querySelector(selector).value) || 0;
+        const firstTo = value('.rule-ot1-to');
+        const contractBases = {};
+        card.querySelectorAll('.rule-base').forEach(input => {
+            contractBases[input.dataset.base] = parseFloat(input.value) || 0;
+        });
+        const ruleSet = {
+            id,
+            valid_from: card.querySelector('.rule-from').value,
+            valid_to: card.querySelector('.rule-to').value || null,
+            rules: {
+                sundayPremiumRate: value('.rule-sunday') / 100,
+                holidayPremiumRate: value('.rule-holiday') / 100,
+                overtimeBrackets: [
+                    { from: 35, to: firstTo, rate: 1 + value('.rule-ot1') / 100, label: `Heures sup. ${value('.rule-ot1')}%` },
+                    { from: firstTo, to: null, rate: 1 + value('.rule-ot2') / 100, label: `Heures sup. ${value('.rule-ot2')}%` }
+                ],
+                contractBases,
+                smicHourlyRate: value('.rule-smic'),
+                salaryGrid: readSalaryGrid(card)
+            }
+        };
+        try {
+            const result = await API.saveRuleSet(ruleSet);
+            if (result.error) {
+                showToast(result.error, 'error');
+                return;
+            }
+            await reloadRuleSets();
+            closeRulesModal();
+            showToast('Règles enregistrées', 'success');
+        } catch (e) {
+            showToast('Erreur lors de l\'enregistrement', 'error');
+        }
+    }
+
+    async function reloadRuleSets() {
+        const ruleSets = await API.getRuleSets();
+        if (Array.isArray(ruleSets)) FrenchRules.setRuleSets(ruleSets);
+        updateClassificationSelect();
+        updatePremiumRateInputs();
+        updateHourlyRateDisplay();
+        updateResults();
+    }
+
     // --- Clear ---
     function clearAllEntries() {
         if (!confirm('Effacer toutes les saisies de la période ?')) return;
+        // The days of a closed month are kept
+        const kept = state.entries.filter(e => isDayClosed(e.date));
         initEntries();
+        if (kept.length > 0) {
+            state.entries = state.entries.map(e => kept.find(k => k.date === e.date) || e);
+            renderEntries();
+            updateResults();
+        }
         scheduleAutoSave();
         showToast('Saisies effacées', 'info');
     }
@@ -1282,13 +3191,9 @@ const App = (() => {
     function handleQuickCheck(e) {
         const index = parseInt(e.target.dataset.index);
         if (e.target.checked) {
-            state.entries[index].start = state.quickTemplate.start;
-            state.entries[index].end = state.quickTemplate.end;
-            state.entries[index].breakDuration = state.quickTemplate.breakDuration;
+            setEntryTimes(state.entries[index], state.quickTemplate.start, state.quickTemplate.end, state.quickTemplate.breakDuration);
         } else {
-            state.entries[index].start = '';
-            state.entries[index].end = '';
-            state.entries[index].breakDuration = 0;
+            setEntryTimes(state.entries[index], '', '', 0);
         }
         scheduleAutoSave();
         renderEntries();
@@ -1299,10 +3204,8 @@ const App = (() => {
         state.entries.forEach((entry, index) => {
             const date = parseDateLocal(entry.date);
             const dow = date.getDay();
-            if (dow >= 1 && dow <= 5) {
-                state.entries[index].start = state.quickTemplate.start;
-                state.entries[index].end = state.quickTemplate.end;
-                state.entries[index].breakDuration = state.quickTemplate.breakDuration;
+            if (dow >= 1 && dow <= 5 && !isDayClosed(entry.date)) {
+                setEntryTimes(state.entries[index], state.quickTemplate.start, state.quickTemplate.end, state.quickTemplate.breakDuration);
             }
         });
         scheduleAutoSave();
@@ -1319,7 +3222,7 @@ const App = (() => {
 
         const emp = state.employees.find(e => e.id === state.currentEmployeeId);
         const shareData = {
-            entries: state.entries.filter(e => e.start && e.end),
+            entries: state.entries.filter(e => (e.start && e.end) || e.absence),
             dateRange: {
                 start: formatDate(state.dateRange.start),
                 end: formatDate(state.dateRange.end)
@@ -1359,9 +3262,7 @@ const App = (() => {
             }
             if (decoded.contractBase) {
                 state.contractBase = decoded.contractBase;
-                document.querySelectorAll('.contract-btn').forEach(b => {
-                    b.classList.toggle('active', parseInt(b.dataset.base) === state.contractBase);
-                });
+                updateContractBaseInputs();
             }
 
             // Build entries from shared data
@@ -1452,12 +3353,24 @@ const App = (() => {
 
         sortedEntries.forEach(entry => {
             const hours = FrenchRules.calculateDailyHours(entry);
-            if (hours > 0) {
+            const absence = FrenchRules.getAbsenceType(entry);
+            if (absence && hours === 0) {
+                hasEntries = true;
+                const dateObj = parseDateLocal(entry.date);
+                const dateStr = dateObj.toLocaleDateString('fr-FR', { weekday: 'short', day: '2-digit', month: '2-digit' });
+                html += `
+                    <tr class="print-row-absence">
+                        <td>${capitalizeFirst(dateStr)}</td>
+                        <td colspan="3">${absence.label}</td>
+                        <td>${absence.code}</td>
+                    </tr>
+                `;
+            } else if (hours > 0) {
                 hasEntries = true;
                 const dateObj = parseDateLocal(entry.date);
                 const dateStr = dateObj.toLocaleDateString('fr-FR', { weekday: 'short', day: '2-digit', month: '2-digit' });
                 const isSunday = dateObj.getDay() === 0;
-                const isHoliday = FrenchRules.isPublicHoliday(dateObj);
+                const isHoliday = FrenchRules.isPublicHoliday(dateObj, state.holidayCalendar);
 
                 let rowClass = '';
                 if (isSunday) rowClass = 'print-row-sunday';
@@ -1465,9 +3378,9 @@ const App = (() => {
 
                 html += `
                     <tr class="${rowClass}">
-                        <td>${capitalizeFirst(dateStr)} ${isHoliday ? '🏴' : ''}</td>
-                        <td>${entry.start}</td>
-                        <td>${entry.end}</td>
+                        <td>${capitalizeFirst(dateStr)} ${isHoliday ? '🏴' : ''} ${FrenchRules.isSplitDay(entry) ? '✂️' : ''} ${absence ? absence.code : ''}</td>
+                        <td>${FrenchRules.getRoundedSegments(entry).map(seg => seg.start).join('<br>')}</td>
+                        <td>${FrenchRules.getRoundedSegments(entry).map(seg => seg.end).join('<br>')}</td>
                         <td>${entry.breakDuration || 0}m</td>
                         <td><strong>${FrenchRules.formatHours(hours)}</strong></td>
                     </tr>
@@ -1487,8 +3400,24 @@ const App = (() => {
         // 5. Summary Recap
         const results = state.currentResults; // already calculated by updateResults
 
-        html += `
-            <div class="print-summary">
+        html += `<div class="print-summary">`;
+        if (results.forfait) {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Jours Travaillés</span>
+                    <span class="ps-value">${formatDays(results.totalDays)}</span>
+                </div>
+            `;
+            results.forfait.forEach(counter => {
+                html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Forfait ${formatShortPeriod(counter.start, counter.end)}</span>
+                    <span class="ps-value">${counter.total} / ${counter.forfaitDays} j</span>
+                </div>
+            `;
+            });
+        } else {
+            html += `
                 <div class="print-summary-item">
                     <span class="ps-label">Heures Totales</span>
                     <span class="ps-value">${FrenchRules.formatHours(results.totalHours)}</span>
@@ -1497,7 +3426,17 @@ const App = (() => {
                     <span class="ps-label">Heures Sup.</span>
                     <span class="ps-value">${FrenchRules.formatHours(results.totalOvertime)}</span>
                 </div>
-        `;
+            `;
+        }
+
+        if (results.totalComplementaryHours > 0) {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Heures Compl.</span>
+                    <span class="ps-value">${FrenchRules.formatHours(results.totalComplementaryHours)}</span>
+                </div>
+            `;
+        }
 
         if (results.totalSundayHours > 0) {
             html += `
@@ -1516,6 +3455,55 @@ const App = (() => {
             `;
         }
 
+        (results.modulation || []).forEach(period => {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Modulation ${formatShortPeriod(period.start, period.end)}</span>
+                    <span class="ps-value">${period.balance >= 0 ? '+' : '−'}${FrenchRules.formatHours(Math.abs(period.balance))}</span>
+                </div>
+            `;
+        });
+        if (results.paidLeave && (results.paidLeave.acquired > 0 || results.paidLeave.taken > 0)) {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Solde CP</span>
+                    <span class="ps-value">${formatDays(results.paidLeave.balance)}</span>
+                </div>
+            `;
+        }
+        if (results.seniority) {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Ancienneté</span>
+                    <span class="ps-value">${formatSeniority(results.seniority)}</span>
+                </div>
+            `;
+        }
+        if (results.totalPay && results.totalPay.seniorityBonus > 0) {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Prime d'ancienneté</span>
+                    <span class="ps-value">${results.totalPay.seniorityBonus.toFixed(2)} €</span>
+                </div>
+            `;
+        }
+        results.solidarity.filter(year => year.done > 0 || year.inPeriod).forEach(year => {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">Solidarité ${year.year}</span>
+                    <span class="ps-value">${FrenchRules.formatHours(year.done)} / ${FrenchRules.formatHours(year.obligation)}</span>
+                </div>
+            `;
+        });
+        results.absences.forEach(absence => {
+            html += `
+                <div class="print-summary-item">
+                    <span class="ps-label">${absence.label}</span>
+                    <span class="ps-value">${absence.days} j</span>
+                </div>
+            `;
+        });
+
         html += `</div>`; // end print-summary
 
         printSection.innerHTML = html;
@@ -10,13 +10,22 @@ const FrenchRules = (() => {
         dailyMaxHours: 10,
         weeklyMaxHours: 48,
         weeklyAvgMaxHours: 44, // sur 12 semaines
+        weeklyAvgWeeks: 12,
         minDailyRestHours: 11,
         minWeeklyRestHours: 35, // 24 + 11
         mandatoryBreakAfterMinutes: 360, // 6h
         mandatoryBreakMinutes: 20,
+        splitShiftBreakMinutes: 120, // journée en coupure : interruption > 2h
+        // Arrondi des horaires (accord d'entreprise) : pas en minutes (0 = à la minute),
+        // sens 'nearest' | 'up' | 'down', tolérances avant le début / après la fin
+        timeRounding: { granularity: 0, direction: 'nearest', toleranceBefore: 0, toleranceAfter: 0 },
         nightStart: 21, // 21:00
         nightEnd: 6,    // 06:00
+        nightPremiumRate: 0.25, // majoration heures de nuit (défaut, à ajuster selon accord d'entreprise)
+        nightRestRate: 0,       // repos compensateur nuit, en proportion des heures de nuit (optionnel)
         annualOvertimeQuota: 220,
+        annualOvertimeWarningRatio: 0.9, // alerte à 90% du contingent
+        corRate: 1.00, // contrepartie obligatoire en repos : 100% (> 20 salariés), 50% sinon
         overtimeBrackets: [
             { from: 35, to: 43, rate: 1.25, label: 'Heures sup. 25%' },
             { from: 43, to: Infinity, rate: 1.50, label: 'Heures sup. 50%' }
@@ -25,12 +34,79 @@ const FrenchRules = (() => {
         sundayPremiumRate: 0.50,    // +50% du taux horaire de base
         holidayPremiumRate: 1.00,   // +100% du taux horaire de base
         contractBases: {
+            // autres durées : heures hebdomadaires × 52 / 12 (voir getMonthlyHours)
             24: 104.00,  // heures mensuelles pour un contrat 24h
             32: 138.67,  // heures mensuelles pour un contrat 32h
             35: 151.67,  // heures mensuelles pour un contrat 35h
             39: 169.00   // heures mensuelles pour un contrat 39h (151.67 + 17.33)
         },
-        structuralOvertimeHours39: 4  // heures structurelles 35→39h incluses dans le salaire 39h
+        structuralOvertimeHours39: 4, // heures structurelles 35→39h incluses dans le salaire 39h
+        // Prime d'ancienneté : taux du salaire de base selon les années de service,
+        // aucune par défaut (accord d'entreprise), ex. [{ years: 3, rate: 0.03 }, { years: 6, rate: 0.06 }]
+        seniorityBonus: [],
+        // SMIC horaire brut (au 1er novembre 2024) : plancher de tout taux horaire
+        smicHourlyRate: 11.88,
+        // Salaires minima conventionnels (brut mensuel pour 35h) par niveau et échelon,
+        // à mettre à jour avec l'avenant salaires en vigueur (jeux de règles datés)
+        salaryGrid: [
+            { level: 'I', echelon: 1, minMonthly: 1801.80 },
+            { level: 'I', echelon: 2, minMonthly: 1806.00 },
+            { level: 'II', echelon: 1, minMonthly: 1812.00 },
+            { level: 'II', echelon: 2, minMonthly: 1825.00 },
+            { level: 'III', echelon: 1, minMonthly: 1845.00 },
+            { level: 'III', echelon: 2, minMonthly: 1870.00 },
+            { level: 'IV', echelon: 1, minMonthly: 1910.00 },
+            { level: 'IV', echelon: 2, minMonthly: 1960.00 },
+            { level: 'V', echelon: 1, minMonthly: 2060.00 },
+            { level: 'VI', echelon: 1, minMonthly: 2250.00 },
+            { level: 'VII', echelon: 1, minMonthly: 2600.00 },
+            { level: 'VIII', echelon: 1, minMonthly: 3050.00 }
+        ],
+        // Semaine à cheval sur deux périodes : heures sup. calculées sur la semaine civile complète,
+        // affectées à la période contenant le dimanche ('week-end') ou au prorata des heures ('prorata')
+        straddlingWeekPolicy: 'week-end',
+        // Temps partiel : heures complémentaires au-delà de la durée contractuelle,
+        // +10% jusqu'au 1/10e de la durée, +25% au-delà, plafond au 1/3
+        complementaryBrackets: [
+            { upTo: 0.1, rate: 1.10, label: 'Heures compl. 10%' },
+            { upTo: Infinity, rate: 1.25, label: 'Heures compl. 25%' }
+        ],
+        complementaryMaxRatio: 1 / 3,
+        // Types d'absence : countsAsWork = temps de travail effectif (seuils heures sup.),
+        // paid = maintenu dans l'estimation de rémunération
+        absenceTypes: {
+            CP: { label: 'Congés payés', countsAsWork: false, paid: true },
+            MAL: { label: 'Maladie', countsAsWork: false, paid: false },
+            RTT: { label: 'RTT', countsAsWork: false, paid: true },
+            ABS: { label: 'Absence injustifiée', countsAsWork: false, paid: false },
+            FOR: { label: 'Formation', countsAsWork: true, paid: true }
+        },
+        // Congés payés : 2,5 jours ouvrables par mois travaillé, période de référence 1er juin → 31 mai
+        paidLeaveCode: 'CP',
+        paidLeaveDaysPerMonth: 2.5,
+        paidLeaveMaxDays: 30,
+        paidLeavePeriodStartMonth: 6,
+        // Aménagement du temps de travail sur plusieurs semaines (modulation)
+        annualReferenceHours: 1607, // durée annuelle de référence pour un temps plein 35h
+        // Forfait-jours (cadres) : jours travaillés par année de référence
+        forfaitDays: 218,
+        forfaitMaxDays: 235, // plafond en cas de renonciation à des jours de repos
+        closureDays: [], // fermetures de l'entreprise (ponts) : [{ date: 'YYYY-MM-DD', name }]
+        // Journée de solidarité : 7h non rémunérées par an (proratisées pour un temps partiel).
+        // Par année : { mode: 'pentecost' | 'date' | 'split', date, slots: [{ date, hours }] },
+        // lundi de Pentecôte par défaut
+        solidarityHours: 7,
+        solidarityDays: {},
+        // Jeunes travailleurs (moins de 18 ans)
+        youngWorker: {
+            dailyMaxHours: 8,
+            weeklyMaxHours: 35,
+            minDailyRestHours: 12,
+            breakAfterMinutes: 270, // 4h30
+            breakMinutes: 30,
+            nightStart: 22, // 22:00
+            nightEnd: 6     // 06:00
+        }
     };
 
     // --- Sources légales ---
@@ -68,11 +144,30 @@ const FrenchRules = (() => {
         return new Date(year, month - 1, day);
     }
 
+    // --- Holiday calendars: national list plus regional days ---
+    // Abolition de l'esclavage: date fixed for each overseas department (loi du 30 juin 1983)
+    const HOLIDAY_CALENDARS = {
+        national: { label: 'National', extra: () => [] },
+        'alsace-moselle': {
+            label: 'Alsace-Moselle',
+            extra: (year, easterMs, day) => [
+                { date: new Date(easterMs - 2 * day), name: 'Vendredi saint' },
+                { date: new Date(year, 11, 26), name: 'Saint-Étienne' }
+            ]
+        },
+        guadeloupe: { label: 'Guadeloupe', extra: (year) => [{ date: new Date(year, 4, 27), name: "Abolition de l'esclavage" }] },
+        martinique: { label: 'Martinique', extra: (year) => [{ date: new Date(year, 4, 22), name: "Abolition de l'esclavage" }] },
+        guyane: { label: 'Guyane', extra: (year) => [{ date: new Date(year, 5, 10), name: "Abolition de l'esclavage" }] },
+        reunion: { label: 'La Réunion', extra: (year) => [{ date: new Date(year, 11, 20), name: "Abolition de l'esclavage" }] },
+        mayotte: { label: 'Mayotte', extra: (year) => [{ date: new Date(year, 3, 27), name: "Abolition de l'esclavage" }] }
+    };
+
     // --- French public holidays for a given year ---
-    function getPublicHolidays(year) {
+    function getPublicHolidays(year, calendar = 'national') {
         const easter = getEasterDate(year);
         const easterMs = easter.getTime();
         const day = 86400000;
+        const regional = (HOLIDAY_CALENDARS[calendar] || HOLIDAY_CALENDARS.national).extra(year, easterMs, day);
 
         return [
             { date: new Date(year, 0, 1), name: "Jour de l'An" },
@@ -85,13 +180,14 @@ const FrenchRules = (() => {
             { date: new Date(year, 7, 15), name: 'Assomption' },
             { date: new Date(year, 10, 1), name: 'Toussaint' },
             { date: new Date(year, 10, 11), name: 'Armistice 1918' },
-            { date: new Date(year, 11, 25), name: 'Noël' }
-        ];
+            { date: new Date(year, 11, 25), name: 'Noël' },
+            ...regional
+        ].sort((a, b) => a.date - b.date);
     }
 
-    function isPublicHoliday(date) {
+    function isPublicHoliday(date, calendar = 'national') {
         const year = date.getFullYear();
-        const holidays = getPublicHolidays(year);
+        const holidays = getPublicHolidays(year, calendar);
         return holidays.find(h =>
             h.date.getFullYear() === date.getFullYear() &&
             h.date.getMonth() === date.getMonth() &&
@@ -99,6 +195,55 @@ const FrenchRules = (() => {
         );
     }
 
+    // --- Company closure days ("ponts"), stored in the settings ---
+    function getClosureDay(date) {
+        const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return CONFIG.closureDays.find(c => c.date === dateStr) || null;
+    }
+
+    // --- Journée de solidarité ---
+    function getSolidarityObligation(contractBase = 35) {
+        return Math.round(CONFIG.solidarityHours * Math.min(1, contractBase / CONFIG.weeklyLegalHours) * 100) / 100;
+    }
+
+    // Dates of the year on which the solidarity hours are worked, with the hours each
+    // may cover (Infinity = up to the whole obligation)
+    function getSolidaritySlots(year) {
+        const setting = CONFIG.solidarityDays[year] || { mode: 'pentecost' };
+        if (setting.mode === 'date' && setting.date) {
+            return [{ date: setting.date, hours: Infinity }];
+        }
+        if (setting.mode === 'split') {
+            return (setting.slots || []).filter(slot => slot.date && slot.hours > 0);
+        }
+        const pentecost = getEasterDate(Number(year));
+        pentecost.setDate(pentecost.getDate() + 50);
+        return [{ date: toDateStr(pentecost), hours: Infinity }];
+    }
+
+    function isSolidarityDate(dateStr) {
+        return getSolidaritySlots(dateStr.slice(0, 4)).some(slot => slot.date === dateStr);
+    }
+
+    // Hours worked on the solidarity dates count towards the yearly obligation until it is met
+    function allocateSolidarityHours(entries, contractBase = 35) {
+        const obligation = getSolidarityObligation(contractBase);
+        const byDate = {};
+        const done = {};
+        const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+        for (const entry of sorted) {
+            const year = entry.date.slice(0, 4);
+            const slot = getSolidaritySlots(year).find(s => s.date === entry.date);
+            if (!slot || byDate[entry.date] !== undefined) continue;
+            const remaining = Math.max(0, obligation - (done[year] || 0));
+            const hours = Math.min(calculateDailyHours(entry), slot.hours, remaining);
+            if (hours <= 0) continue;
+            byDate[entry.date] = hours;
+            done[year] = (done[year] || 0) + hours;
+        }
+        return { obligation, byDate, done };
+    }
+
     function isSunday(date) {
         return date.getDay() === 0;
     }
@@ -110,6 +255,29 @@ const FrenchRules = (() => {
         return h * 60 + m;
     }
 
+    // --- Time rounding (company agreement) ---
+    // A start up to toleranceBefore minutes before a step, or an end up to toleranceAfter
+    // minutes after one, is set to that step; other times are rounded in the configured direction
+    function roundMinutes(minutes, edge) {
+        const { granularity, direction, toleranceBefore, toleranceAfter } = CONFIG.timeRounding;
+        if (!(granularity > 1)) return minutes;
+        const below = Math.floor(minutes / granularity) * granularity;
+        const above = below + granularity;
+        if (below === minutes) return minutes;
+        if (edge === 'start' && above - minutes <= toleranceBefore) return above;
+        if (edge === 'end' && minutes - below <= toleranceAfter) return below;
+        if (direction === 'up') return above;
+        if (direction === 'down') return below;
+        return minutes - below < above - minutes ? below : above;
+    }
+
+    // Rounded 'HH:MM' of a raw time, edge = 'start' | 'end'
+    function roundTime(timeStr, edge) {
+        if (!timeStr) return timeStr;
+        const minutes = roundMinutes(timeToMinutes(timeStr), edge) % 1440;
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
     function minutesToHours(minutes) {
         return Math.round((minutes / 60) * 100) / 100;
     }
@@ -126,77 +294,334 @@ const FrenchRules = (() => {
         return `${h}h${m.toString().padStart(2, '0')}`;
     }
 
+    // --- Effective-dated rule sets (conventional rates stored in the database) ---
+    // Each set overrides some of RULE_KEYS from validFrom to validTo (inclusive, open
+    // when null); days outside every set use the defaults of CONFIG.
+    const RULE_KEYS = ['sundayPremiumRate', 'holidayPremiumRate', 'overtimeBrackets', 'contractBases', 'smicHourlyRate', 'salaryGrid'];
+    let ruleSets = [];
+
+    function setRuleSets(sets = []) {
+        ruleSets = sets
+            .map(set => ({
+                validFrom: set.validFrom || set.valid_from,
+                validTo: set.validTo || set.valid_to || null,
+                rules: normalizeRules(set.rules || {})
+            }))
+            .filter(set => set.validFrom)
+            .sort((a, b) => a.validFrom.localeCompare(b.validFrom));
+    }
+
+    function normalizeRules(rules) {
+        const normalized = {};
+        for (const key of RULE_KEYS) {
+            if (rules[key] === undefined || rules[key] === null) continue;
+            normalized[key] = key === 'overtimeBrackets'
+                ? rules[key].map(b => ({ ...b, to: b.to === null || b.to === undefined ? Infinity : b.to }))
+                : rules[key];
+        }
+        return normalized;
+    }
+
+    // Rules in force on a day (YYYY-MM-DD); CONFIG when no date is given
+    function getRules(dateStr) {
+        const rules = {};
+        for (const key of RULE_KEYS) rules[key] = CONFIG[key];
+        if (!dateStr) return rules;
+        const set = ruleSets.find(s => s.validFrom <= dateStr && (!s.validTo || dateStr <= s.validTo));
+        if (!set) return rules;
+        return {
+            ...rules,
+            ...set.rules,
+            contractBases: { ...rules.contractBases, ...set.rules.contractBases }
+        };
+    }
+
+    // --- Individual premium rates (contrat de travail plus favorable que la CCN) ---
+    // overrides: { sundayPremiumRate, holidayPremiumRate, nightPremiumRate, overtimeRates: [first, second] }
+    // Every key is optional: a missing or null rate keeps the conventional one.
+    const PREMIUM_OVERRIDE_KEYS = ['sundayPremiumRate', 'holidayPremiumRate', 'nightPremiumRate'];
+
+    function isRate(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    function applyPremiumOverrides(rules, overrides) {
+        if (!overrides) return rules;
+        const result = { ...rules };
+        for (const key of PREMIUM_OVERRIDE_KEYS) {
+            if (isRate(overrides[key])) result[key] = overrides[key];
+        }
+        const rates = overrides.overtimeRates || [];
+        if (rates.some(isRate)) {
+            result.overtimeBrackets = rules.overtimeBrackets.map((bracket, i) =>
+                isRate(rates[i]) ? { ...bracket, rate: rates[i] } : bracket);
+        }
+        return result;
+    }
+
+    // Keys of totalPay whose amount is computed with an individual rate
+    function getOverriddenAmounts(overrides) {
+        if (!overrides) return [];
+        const amounts = [];
+        if (isRate(overrides.sundayPremiumRate)) amounts.push('sundayPremium');
+        if (isRate(overrides.holidayPremiumRate)) amounts.push('holidayPremium');
+        if (isRate(overrides.nightPremiumRate)) amounts.push('nightPremium');
+        const rates = overrides.overtimeRates || [];
+        if (rates.some(isRate)) amounts.push('overtime');
+        // Structural hours of a 39h contract are paid at the first overtime rate
+        if (isRate(rates[0])) amounts.push('structural');
+        return amounts;
+    }
+
     // --- Calculate hourly rate from gross monthly salary ---
-    function calculateHourlyRate(grossMonthlySalary, contractBase) {
-        if (!grossMonthlySalary || grossMonthlySalary <= 0) return 0;
-        const monthlyHours = CONFIG.contractBases[contractBase] || CONFIG.contractBases[35];
+    // dateStr selects the monthly hours of the rule set in force (defaults otherwise)
+    // Monthly hours of a weekly contract duration: table value, else weekly × 52 / 12
+    function getMonthlyHours(contractBase, contractBases = CONFIG.contractBases) {
+        return contractBases[contractBase] || Math.round((contractBase * 52 / 12) * 100) / 100;
+    }
+
+    function isPartTime(contractBase) {
+        return contractBase < CONFIG.weeklyLegalHours;
+    }
+
+    function calculateHourlyRate(grossMonthlySalary, contractBase, dateStr = null) {
+        if (!grossMonthlySalary || grossMonthlySalary <= 0 || !(contractBase > 0)) return 0;
+        const monthlyHours = getMonthlyHours(contractBase, getRules(dateStr).contractBases);
         return Math.round((grossMonthlySalary / monthlyHours) * 10000) / 10000;
     }
 
-    // --- Calculate daily worked hours ---
-    function calculateDailyHours(entry) {
-        if (!entry.start || !entry.end) return 0;
+    // --- Minimum wage (SMIC) and conventional salary grid ---
+    // An employee's classification is the code 'niveau-échelon' of a grid row (e.g. 'III-2')
+    function getClassificationCode(row) {
+        return `${row.level}-${row.echelon}`;
+    }
+
+    function getClassificationLabel(row) {
+        return `Niveau ${row.level} échelon ${row.echelon}`;
+    }
 
-        let startMin = timeToMinutes(entry.start);
-        let endMin = timeToMinutes(entry.end);
+    // Grid row of a classification in the rules in force on dateStr, null when absent
+    function getGridMinimum(classification, dateStr = null) {
+        if (!classification) return null;
+        return getRules(dateStr).salaryGrid.find(row => getClassificationCode(row) === classification) || null;
+    }
 
-        // Handle overnight shifts
-        if (endMin <= startMin) {
-            endMin += 1440; // +24h
+    // Hourly rate below the SMIC or the grid minimum of the classification, checked
+    // with the rules in force at both ends of the period (a new grid may start within it)
+    function getWageWarnings(hourlyRate, classification, start = null, end = start) {
+        if (!(hourlyRate > 0)) return [];
+        const warnings = [];
+        const push = (warning) => {
+            if (!warnings.some(w => w.message === warning.message)) warnings.push(warning);
+        };
+        // Rates are compared to the half cent (monthly hours are rounded)
+        const below = (minimum) => hourlyRate + 0.005 < minimum;
+
+        for (const dateStr of new Set([start, end])) {
+            const rules = getRules(dateStr);
+            if (below(rules.smicHourlyRate)) {
+                push({
+                    type: 'error',
+                    message: `Taux horaire de ${hourlyRate.toFixed(2)} €/h inférieur au SMIC (${rules.smicHourlyRate.toFixed(2)} €/h)`
+                });
+            }
+            if (!classification) continue;
+            const row = rules.salaryGrid.find(r => getClassificationCode(r) === classification);
+            if (!row) {
+                push({ type: 'warning', message: `Classification ${classification} absente de la grille des salaires` });
+                continue;
+            }
+            const minimumRate = Math.round(row.minMonthly / getMonthlyHours(35, rules.contractBases) * 10000) / 10000;
+            if (below(minimumRate)) {
+                push({
+                    type: 'warning',
+                    message: `Taux horaire de ${hourlyRate.toFixed(2)} €/h inférieur au minimum conventionnel ${getClassificationLabel(row)} : ${row.minMonthly.toFixed(2)} € pour 35h (${minimumRate.toFixed(2)} €/h)`
+                });
+            }
         }
+        return warnings;
+    }
 
-        let workedMinutes = endMin - startMin;
+    // --- Seniority (ancienneté) ---
+    // Completed years and months of service on dateStr, counted up to the exit date
+    function getSeniority(hireDate, dateStr, exitDate = null) {
+        if (!hireDate || !dateStr) return null;
+        const end = exitDate && exitDate < dateStr ? exitDate : dateStr;
+        if (end < hireDate) return { years: 0, months: 0, totalMonths: 0 };
+        const [hy, hm, hd] = hireDate.split('-').map(Number);
+        const [ey, em, ed] = end.split('-').map(Number);
+        const totalMonths = (ey - hy) * 12 + (em - hm) - (ed < hd ? 1 : 0);
+        return { years: Math.floor(totalMonths / 12), months: totalMonths % 12, totalMonths };
+    }
 
-        // Subtract break
-        const breakMin = parseInt(entry.breakDuration) || 0;
-        workedMinutes -= breakMin;
+    // Rate of the highest step of CONFIG.seniorityBonus reached
+    function getSeniorityBonusRate(seniority) {
+        if (!seniority) return 0;
+        let rate = 0;
+        for (const step of CONFIG.seniorityBonus) {
+            if (seniority.years >= step.years && step.rate > rate) rate = step.rate;
+        }
+        return rate;
+    }
 
-        return Math.max(0, minutesToHours(workedMinutes));
+    // Days entered outside the employment contract (before hiring, after the exit)
+    function getContractWarnings(entry, hireDate, exitDate) {
+        if (!calculateDailyHours(entry) && !getAbsenceType(entry)) return [];
+        if (hireDate && entry.date < hireDate) {
+            return [{ type: 'warning', message: `Journée saisie avant la date d'embauche (${hireDate})` }];
+        }
+        if (exitDate && entry.date > exitDate) {
+            return [{ type: 'warning', message: `Journée saisie après la date de sortie (${exitDate})` }];
+        }
+        return [];
     }
 
-    // --- Calculate night hours for a given entry ---
-    function calculateNightHours(entry) {
-        if (!entry.start || !entry.end) return 0;
+    // --- Shift segments of a day (split shifts / journée en coupure) ---
+    // entry.segments lists every shift of the day; without it, start/end/breakDuration
+    // describe a single shift.
+    function getSegments(entry) {
+        if (Array.isArray(entry.segments) && entry.segments.length > 0) {
+            return entry.segments.filter(seg => seg.start && seg.end);
+        }
+        if (!entry.start || !entry.end) return [];
+        return [{ start: entry.start, end: entry.end, breakDuration: entry.breakDuration }];
+    }
+
+    // Segments with the rounded times counted by the engine (raw times stay in the entry)
+    function getRoundedSegments(entry) {
+        return getSegments(entry).map(seg => ({
+            ...seg,
+            start: roundTime(seg.start, 'start'),
+            end: roundTime(seg.end, 'end')
+        }));
+    }
+
+    // Segments in minutes from the day's 00:00, following overnight shifts past midnight.
+    // Times are rounded per the company settings unless raw minutes are asked for
+    function getSegmentMinutes(entry, rounded = true) {
+        const toMinutes = (time, edge) => rounded ? roundMinutes(timeToMinutes(time), edge) : timeToMinutes(time);
+        let offset = 0;
+        let previousEnd = -Infinity;
+        return getSegments(entry).map(seg => {
+            let startMin = toMinutes(seg.start, 'start') + offset;
+            if (startMin < previousEnd) {
+                offset += 1440;
+                startMin += 1440;
+            }
+            let endMin = toMinutes(seg.end, 'end') + offset;
+            if (endMin <= startMin) {
+                offset += 1440;
+                endMin += 1440;
+            }
+            previousEnd = endMin;
+            return { start: startMin, end: endMin, breakDuration: parseInt(seg.breakDuration) || 0 };
+        });
+    }
 
-        let startMin = timeToMinutes(entry.start);
-        let endMin = timeToMinutes(entry.end);
+    // Day summary of split shifts: first start, last end, and every non-worked
+    // minute in between (breaks + gaps) as break. Stored in entries.start/end/break_duration.
+    function summarizeSegments(segments) {
+        const minutes = getSegmentMinutes({ segments }, false);
+        const complete = getSegments({ segments });
+        if (minutes.length === 0) return { start: '', end: '', breakDuration: 0 };
 
-        if (endMin <= startMin) {
-            endMin += 1440;
+        const span = minutes[minutes.length - 1].end - minutes[0].start;
+        const worked = minutes.reduce((sum, seg) => sum + (seg.end - seg.start - seg.breakDuration), 0);
+        return {
+            start: complete[0].start,
+            end: complete[complete.length - 1].end,
+            breakDuration: span - worked
+        };
+    }
+
+    // --- Split day: a break (or gap between shifts) longer than 2h ---
+    function isSplitDay(entry) {
+        const minutes = getSegmentMinutes(entry);
+        return minutes.some((seg, i) =>
+            seg.breakDuration > CONFIG.splitShiftBreakMinutes ||
+            (i > 0 && seg.start - minutes[i - 1].end > CONFIG.splitShiftBreakMinutes)
+        );
+    }
+
+    // --- Calculate daily worked hours ---
+    function calculateDailyHours(entry) {
+        let workedMinutes = 0;
+
+        // Overnight shifts are handled by getSegmentMinutes; breaks are subtracted
+        for (const seg of getSegmentMinutes(entry)) {
+            workedMinutes += seg.end - seg.start - seg.breakDuration;
         }
 
+        return Math.max(0, minutesToHours(workedMinutes));
+    }
+
+    // --- Calculate night hours for a given entry ---
+    function calculateNightHours(entry) {
         const nightStartMin = CONFIG.nightStart * 60; // 21:00 = 1260
         const nightEndMin = CONFIG.nightEnd * 60;     // 06:00 = 360
 
+        // Night windows around each shift: previous evening → this morning,
+        // this evening → next morning, and the following nights for shifts after midnight
         let nightMinutes = 0;
+        for (const seg of getSegmentMinutes(entry)) {
+            for (let day = -1; day <= 2; day++) {
+                const windowStart = day * 1440 + nightStartMin;
+                const windowEnd = (day + 1) * 1440 + nightEndMin;
+                const overlap = Math.min(seg.end, windowEnd) - Math.max(seg.start, windowStart);
+                if (overlap > 0) nightMinutes += overlap;
+            }
+        }
 
-        // Night period: 21:00 - 06:00 (next day)
-        const nightP1Start = nightStartMin;
-        const nightP1End = 1440;
-        const nightP2Start = 0;
-        const nightP2End = nightEndMin;
+        return minutesToHours(nightMinutes);
+    }
 
-        // Overlap with period 1
-        const overlap1Start = Math.max(startMin, nightP1Start);
-        const overlap1End = Math.min(endMin, nightP1End);
-        if (overlap1End > overlap1Start) nightMinutes += overlap1End - overlap1Start;
+    // --- Young workers: under 18 on the worked date ---
+    function isYoungWorker(birthDate, dateStr) {
+        if (!birthDate || !dateStr) return false;
+        const adulthood = `${Number(birthDate.slice(0, 4)) + 18}${birthDate.slice(4)}`;
+        return dateStr < adulthood;
+    }
 
-        // Overlap with period 2 (early morning)
-        const overlap2Start = Math.max(startMin, nightP2Start);
-        const overlap2End = Math.min(endMin, nightP2End);
-        if (overlap2End > overlap2Start) nightMinutes += overlap2End - overlap2Start;
+    // Limits of the young-worker profile (error level, no derogation assumed)
+    function getYoungWorkerWarnings(entry, hoursWorked) {
+        const young = CONFIG.youngWorker;
+        const warnings = [];
 
-        // If shift crosses midnight (endMin > 1440), check next day's morning
-        if (endMin > 1440) {
-            const nextDayEnd = Math.min(endMin - 1440, nightEndMin * 60);
-            nightMinutes += Math.max(0, nextDayEnd);
+        if (hoursWorked > young.dailyMaxHours) {
+            warnings.push({
+                type: 'error',
+                message: `Moins de 18 ans : dépassement durée maximale quotidienne (${young.dailyMaxHours}h)`
+            });
         }
 
-        return minutesToHours(nightMinutes);
+        const segments = getSegmentMinutes(entry);
+        if (segments.some(seg => seg.end - seg.start - seg.breakDuration > young.breakAfterMinutes && seg.breakDuration < young.breakMinutes)) {
+            warnings.push({
+                type: 'error',
+                message: `Moins de 18 ans : pause de ${young.breakMinutes} min obligatoire après ${formatDuration(young.breakAfterMinutes)} de travail`
+            });
+        }
+
+        // Night windows of the day and of the following night (shifts may end after midnight)
+        const nightWindows = [
+            [0, young.nightEnd * 60],
+            [young.nightStart * 60, 1440 + young.nightEnd * 60],
+            [1440 + young.nightStart * 60, 2880 + young.nightEnd * 60]
+        ];
+        if (segments.some(seg => nightWindows.some(([from, to]) => seg.start < to && seg.end > from))) {
+            warnings.push({
+                type: 'error',
+                message: `Moins de 18 ans : travail de nuit interdit entre ${young.nightStart}h et ${young.nightEnd}h`
+            });
+        }
+
+        return warnings;
     }
 
     // --- Check warnings for a day ---
-    function getDailyWarnings(entry, hoursWorked) {
+    function getDailyWarnings(entry, hoursWorked, youngWorker = false) {
+        if (youngWorker) return getYoungWorkerWarnings(entry, hoursWorked);
+
         const warnings = [];
 
         if (hoursWorked > CONFIG.dailyMaxHours) {
@@ -206,33 +631,86 @@ const FrenchRules = (() => {
             });
         }
 
-        // Check mandatory break
-        if (hoursWorked >= minutesToHours(CONFIG.mandatoryBreakAfterMinutes)) {
-            const breakMin = parseInt(entry.breakDuration) || 0;
-            if (breakMin < CONFIG.mandatoryBreakMinutes) {
-                warnings.push({
-                    type: 'warning',
-                    message: `Pause obligatoire de ${CONFIG.mandatoryBreakMinutes} min après 6h de travail`
-                });
-            }
+        // Check mandatory break (per shift: a gap between shifts is a break)
+        const missingBreak = getSegmentMinutes(entry).some(seg =>
+            seg.end - seg.start - seg.breakDuration >= CONFIG.mandatoryBreakAfterMinutes &&
+            seg.breakDuration < CONFIG.mandatoryBreakMinutes
+        );
+        if (missingBreak) {
+            warnings.push({
+                type: 'warning',
+                message: `Pause obligatoire de ${CONFIG.mandatoryBreakMinutes} min après 6h de travail`
+            });
         }
 
         return warnings;
     }
 
+    // --- Absence of a day (congés payés, maladie, RTT, ...) ---
+    function getAbsenceType(entry) {
+        if (!entry.absence) return null;
+        const type = CONFIG.absenceTypes[entry.absence];
+        return type ? { code: entry.absence, ...type } : null;
+    }
+
+    // An absence day is valued at the contract's daily equivalent (weekly base / 5),
+    // less the hours worked that day (half-day absences)
+    function getAbsenceHours(entry, contractBase = 35) {
+        if (!getAbsenceType(entry)) return 0;
+        const remaining = contractBase / 5 - calculateDailyHours(entry);
+        return Math.max(0, Math.round(remaining * 100) / 100);
+    }
+
+    // Hours counted against the overtime thresholds: worked + absences counting as work
+    function getEffectiveHours(entry, contractBase = 35) {
+        const absence = getAbsenceType(entry);
+        const absenceHours = absence && absence.countsAsWork ? getAbsenceHours(entry, contractBase) : 0;
+        return calculateDailyHours(entry) + absenceHours;
+    }
+
     // --- Calculate weekly overtime breakdown ---
-    function calculateOvertime(weeklyHours, contractBase = 35) {
+    // rules: rule set in force for the week (see getRules)
+    function calculateOvertime(weeklyHours, contractBase = 35, rules = CONFIG) {
         const threshold = (contractBase === 39) ? 39 : CONFIG.weeklyLegalHours;
 
         const result = {
             regularHours: 0,
             structuralHours: 0, // heures structurelles 35→39h (si base 39h)
+            complementaryHours: 0, // heures complémentaires (temps partiel)
             brackets: [],
             totalOvertime: 0,
             contractBase: contractBase
         };
 
-        if (contractBase === 39) {
+        if (isPartTime(contractBase)) {
+            // Temps partiel: heures complémentaires jusqu'à 35h, heures sup. au-delà
+            result.regularHours = Math.min(weeklyHours, contractBase);
+            let remaining = Math.max(0, Math.min(weeklyHours, CONFIG.weeklyLegalHours) - contractBase);
+            result.complementaryHours = Math.round(remaining * 100) / 100;
+
+            let done = 0;
+            for (const bracket of CONFIG.complementaryBrackets) {
+                const hoursInBracket = Math.min(remaining, bracket.upTo * contractBase - done);
+                if (hoursInBracket > 0) {
+                    result.brackets.push({
+                        label: bracket.label,
+                        hours: Math.round(hoursInBracket * 100) / 100,
+                        rate: bracket.rate,
+                        multipliedHours: Math.round(hoursInBracket * bracket.rate * 100) / 100,
+                        complementary: true
+                    });
+                    remaining -= hoursInBracket;
+                    done += hoursInBracket;
+                }
+                if (remaining <= 0) break;
+            }
+
+            if (weeklyHours > CONFIG.weeklyLegalHours) {
+                const overtime = calculateOvertime(weeklyHours, CONFIG.weeklyLegalHours, rules);
+                result.brackets.push(...overtime.brackets);
+                result.totalOvertime = overtime.totalOvertime;
+            }
+        } else if (contractBase === 39) {
             // Base 39h: les heures 35→39 sont structurelles (incluses dans le salaire)
             const hoursUpTo35 = Math.min(weeklyHours, 35);
             const structuralHours = Math.min(Math.max(weeklyHours - 35, 0), 4);
@@ -248,9 +726,10 @@ const FrenchRules = (() => {
             result.totalOvertime = remainingOvertime;
 
             // Brackets recalculés à partir de 39h
+            const [first, second] = rules.overtimeBrackets;
             const overtimeBrackets39 = [
-                { from: 39, to: 43, rate: 1.25, label: 'Heures sup. 25% (>39h)' },
-                { from: 43, to: Infinity, rate: 1.50, label: 'Heures sup. 50% (>43h)' }
+                { from: 39, to: first.to, rate: first.rate, label: `${first.label} (>39h)` },
+                { from: first.to, to: Infinity, rate: second.rate, label: `${second.label} (>${first.to}h)` }
             ];
 
             for (const bracket of overtimeBrackets39) {
@@ -279,7 +758,7 @@ const FrenchRules = (() => {
             let remainingOvertime = weeklyHours - CONFIG.weeklyLegalHours;
             result.totalOvertime = remainingOvertime;
 
-            for (const bracket of CONFIG.overtimeBrackets) {
+            for (const bracket of rules.overtimeBrackets) {
                 const bracketWidth = bracket.to - bracket.from;
                 const hoursInBracket = Math.min(remainingOvertime, bracketWidth);
 
@@ -300,10 +779,12 @@ const FrenchRules = (() => {
     }
 
     // --- Calculate pay for a week ---
-    function calculatePay(weeklyHours, hourlyRate, contractBase = 35, sundayHours = 0, holidayHours = 0) {
+    // overtimeBreakdown replaces the weekly overtime computation (modulated working time),
+    // rules holds the rates in force for the week (see getRules)
+    function calculatePay(weeklyHours, hourlyRate, contractBase = 35, sundayHours = 0, holidayHours = 0, nightHours = 0, paidAbsenceHours = 0, overtimeBreakdown = null, rules = CONFIG) {
         if (!hourlyRate || hourlyRate <= 0) return null;
 
-        const overtime = calculateOvertime(weeklyHours, contractBase);
+        const overtime = overtimeBreakdown || calculateOvertime(weeklyHours, contractBase, rules);
 
         // Base pay
         let basePay = overtime.regularHours * hourlyRate;
@@ -312,95 +793,882 @@ const FrenchRules = (() => {
         let structuralPay = 0;
         if (contractBase === 39 && overtime.structuralHours > 0) {
             // Structurelles à 125% (inclus dans le salaire brut 39h)
-            structuralPay = overtime.structuralHours * hourlyRate * 1.25;
+            structuralPay = overtime.structuralHours * hourlyRate * rules.overtimeBrackets[0].rate;
             basePay += structuralPay;
         }
 
-        // Overtime pay
+        // Overtime pay (heures complémentaires of a part-time contract apart)
         let overtimePay = 0;
+        let complementaryPay = 0;
         for (const bracket of overtime.brackets) {
-            overtimePay += bracket.hours * hourlyRate * bracket.rate;
+            if (bracket.complementary) complementaryPay += bracket.hours * hourlyRate * bracket.rate;
+            else overtimePay += bracket.hours * hourlyRate * bracket.rate;
         }
 
         // Sunday premium (CCN Jardineries: +50%)
-        const sundayPremium = sundayHours * hourlyRate * CONFIG.sundayPremiumRate;
+        const sundayPremium = sundayHours * hourlyRate * rules.sundayPremiumRate;
 
         // Holiday premium (CCN Jardineries: +100%)
-        const holidayPremium = holidayHours * hourlyRate * CONFIG.holidayPremiumRate;
+        const holidayPremium = holidayHours * hourlyRate * rules.holidayPremiumRate;
+
+        // Night premium (21:00 - 06:00, taux configurable, individual rate when overridden)
+        const nightRate = rules.nightPremiumRate !== undefined ? rules.nightPremiumRate : CONFIG.nightPremiumRate;
+        const nightPremium = nightHours * hourlyRate * nightRate;
+
+        // Paid absences not counted as work (CP, RTT): salary maintained at the base rate
+        const absencePay = paidAbsenceHours * hourlyRate;
 
-        const totalPay = basePay + overtimePay + sundayPremium + holidayPremium;
+        const totalPay = basePay + overtimePay + complementaryPay + sundayPremium + holidayPremium + nightPremium + absencePay;
 
         return {
             regularPay: Math.round(basePay * 100) / 100,
             structuralPay: Math.round(structuralPay * 100) / 100,
             overtimePay: Math.round(overtimePay * 100) / 100,
+            complementaryPay: Math.round(complementaryPay * 100) / 100,
             sundayHours: Math.round(sundayHours * 100) / 100,
             sundayPremium: Math.round(sundayPremium * 100) / 100,
             holidayHours: Math.round(holidayHours * 100) / 100,
             holidayPremium: Math.round(holidayPremium * 100) / 100,
+            nightHours: Math.round(nightHours * 100) / 100,
+            nightPremium: Math.round(nightPremium * 100) / 100,
+            paidAbsenceHours: Math.round(paidAbsenceHours * 100) / 100,
+            absencePay: Math.round(absencePay * 100) / 100,
             totalPay: Math.round(totalPay * 100) / 100,
             breakdown: overtime
         };
     }
 
+    // --- Modulated working time (cycle de N semaines / référence annuelle) ---
+    // schedule: { mode: 'weekly' | 'cycle' | 'annual' | 'forfait', cycleWeeks, anchor: 'YYYY-MM-DD', forfaitDays }
+    function isModulated(schedule) {
+        return !!schedule && (schedule.mode === 'cycle' || schedule.mode === 'annual');
+    }
+
+    function shiftDateStr(dateStr, days) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+    }
+
+    function mondayOfStr(dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7;
+        return shiftDateStr(dateStr, 1 - dow);
+    }
+
+    function daysBetween(from, to) {
+        return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+    }
+
+    // Reference period holding the week of dateStr. A week belongs to the period
+    // containing its Monday; periods always span whole weeks.
+    function getModulationPeriod(dateStr, schedule) {
+        const monday = mondayOfStr(dateStr);
+        const anchor = schedule.anchor || `${monday.slice(0, 4)}-01-01`;
+        let start, weeks;
+
+        if (schedule.mode === 'cycle') {
+            const cycleWeeks = Math.max(1, parseInt(schedule.cycleWeeks) || 1);
+            const anchorMonday = mondayOfStr(anchor);
+            const index = Math.floor(daysBetween(anchorMonday, monday) / (7 * cycleWeeks));
+            start = shiftDateStr(anchorMonday, index * 7 * cycleWeeks);
+            weeks = cycleWeeks;
+        } else {
+            // Annual: from the anniversary of the anchor date to the next one
+            const firstMonday = (dateStr) => {
+                const m = mondayOfStr(dateStr);
+                return m < dateStr ? shiftDateStr(m, 7) : m;
+            };
+            const year = parseInt(monday.slice(0, 4));
+            let yearStart = `${year}${anchor.slice(4)}`;
+            if (firstMonday(yearStart) > monday) yearStart = `${year - 1}${anchor.slice(4)}`;
+            start = firstMonday(yearStart);
+            const next = firstMonday(`${parseInt(yearStart.slice(0, 4)) + 1}${anchor.slice(4)}`);
+            weeks = daysBetween(start, next) / 7;
+        }
+
+        return { start, end: shiftDateStr(start, 7 * weeks - 1), weeks };
+    }
+
+    // Overtime threshold of a reference period (35h or 39h a week on average,
+    // 1607h a year for a full-time annual reference) and the contract target
+    // used by the running balance (compteur de modulation)
+    function getModulationThresholds(period, schedule, contractBase) {
+        const weeklyThreshold = contractBase === 39 ? 39 : CONFIG.weeklyLegalHours;
+        if (schedule.mode === 'annual') {
+            const ratio = CONFIG.annualReferenceHours / CONFIG.weeklyLegalHours;
+            return {
+                weeklyThreshold,
+                threshold: weeklyThreshold * ratio,
+                target: contractBase * ratio
+            };
+        }
+        return {
+            weeklyThreshold,
+            threshold: weeklyThreshold * period.weeks,
+            target: contractBase * period.weeks
+        };
+    }
+
+    // Overtime of a closed reference period, with the weekly brackets scaled to its length
+    function calculatePeriodOvertime(periodHours, period, schedule, contractBase, rules = getRules(period.end)) {
+        const { weeklyThreshold, threshold } = getModulationThresholds(period, schedule, contractBase);
+        const result = {
+            regularHours: 0,
+            structuralHours: 0,
+            brackets: [],
+            totalOvertime: 0,
+            contractBase
+        };
+        let remaining = Math.max(0, periodHours - threshold);
+        result.totalOvertime = Math.round(remaining * 100) / 100;
+
+        const [first, second] = rules.overtimeBrackets;
+        const brackets = [
+            { width: (first.to - weeklyThreshold) * period.weeks, rate: first.rate, label: `${first.label} (fin de période)` },
+            { width: Infinity, rate: second.rate, label: `${second.label} (fin de période)` }
+        ];
+        for (const bracket of brackets) {
+            const hoursInBracket = Math.min(remaining, bracket.width);
+            if (hoursInBracket > 0) {
+                result.brackets.push({
+                    label: bracket.label,
+                    hours: Math.round(hoursInBracket * 100) / 100,
+                    rate: bracket.rate,
+                    multipliedHours: Math.round(hoursInBracket * bracket.rate * 100) / 100
+                });
+                remaining -= hoursInBracket;
+            }
+            if (remaining <= 0) break;
+        }
+        return result;
+    }
+
+    // Per-week view of the modulation: running balance against the average target,
+    // and the period overtime on the last week of each reference period.
+    // totals: hours per ISO week (history + period), weekMondays: weeks to report.
+    // overrides: individual overtime rates of the employee (see applyPremiumOverrides)
+    function getModulation(totals, weekMondays, schedule, contractBase, overrides = null) {
+        const byWeek = {};
+        const periods = {};
+        const mondayOfWeek = {};
+        for (const [weekKey, monday] of Object.entries(weekMondays)) {
+            mondayOfWeek[weekKey] = toDateStr(monday);
+        }
+        const firstRecorded = Object.keys(totals).filter(k => totals[k] > 0).sort()[0];
+        // Weeks of the stored history are located through their ISO key
+        const keyOf = (mondayStr) => getISOWeek(new Date(`${mondayStr}T12:00:00`));
+
+        for (const weekKey of Object.keys(weekMondays).sort()) {
+            const period = getModulationPeriod(mondayOfWeek[weekKey], schedule);
+            const { target } = getModulationThresholds(period, schedule, contractBase);
+            const weeklyTarget = target / period.weeks;
+
+            // Weeks before the first recorded one (new hire, no data yet) are not counted
+            let periodHours = 0;
+            let elapsed = 0;
+            for (let monday = period.start; monday <= mondayOfWeek[weekKey]; monday = shiftDateStr(monday, 7)) {
+                const key = keyOf(monday);
+                if (firstRecorded && key < firstRecorded) continue;
+                periodHours += totals[key] || 0;
+                elapsed++;
+            }
+            const isPeriodEnd = shiftDateStr(mondayOfWeek[weekKey], 6) === period.end;
+
+            byWeek[weekKey] = {
+                periodStart: period.start,
+                periodEnd: period.end,
+                weeklyTarget: Math.round(weeklyTarget * 100) / 100,
+                balance: Math.round((periodHours - weeklyTarget * elapsed) * 100) / 100,
+                overtime: isPeriodEnd
+                    ? calculatePeriodOvertime(periodHours, period, schedule, contractBase, applyPremiumOverrides(getRules(period.end), overrides))
+                    : null
+            };
+
+            periods[period.start] = {
+                start: period.start,
+                end: period.end,
+                weeks: period.weeks,
+                threshold: Math.round(getModulationThresholds(period, schedule, contractBase).threshold * 100) / 100,
+                hours: Math.round(periodHours * 100) / 100,
+                balance: byWeek[weekKey].balance,
+                closed: isPeriodEnd,
+                overtime: isPeriodEnd ? byWeek[weekKey].overtime.totalOvertime : 0
+            };
+        }
+        return { byWeek, periods: Object.values(periods) };
+    }
+
+    // Monday (YYYY-MM-DD) of an ISO week key (YYYY-SNN)
+    function isoWeekMonday(weekKey) {
+        const year = parseInt(weekKey.slice(0, 4));
+        const week = parseInt(weekKey.slice(6));
+        const jan4 = new Date(Date.UTC(year, 0, 4));
+        const week1Monday = Date.UTC(year, 0, 4 - ((jan4.getUTCDay() || 7) - 1));
+        return new Date(week1Monday + (week - 1) * 7 * 86400000).toISOString().split('T')[0];
+    }
+
+    function toDateStr(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Smoothed weekly pay under modulation: the contract hours are paid whatever the
+    // hours worked (unpaid absences deducted), the period overtime with its last week
+    function getModulatedWeekBreakdown(weekModulation, contractBase, unpaidAbsenceHours = 0) {
+        const periodOvertime = weekModulation.overtime;
+        return {
+            regularHours: Math.max(0, Math.min(contractBase, CONFIG.weeklyLegalHours) - unpaidAbsenceHours),
+            structuralHours: contractBase === 39 ? CONFIG.structuralOvertimeHours39 : 0,
+            brackets: periodOvertime ? periodOvertime.brackets : [],
+            totalOvertime: periodOvertime ? periodOvertime.totalOvertime : 0,
+            contractBase
+        };
+    }
+
+    // --- Weeks straddling the selected period ---
+    // Share of the week's overtime assigned to the period under the configured policy
+    function getStraddlingShare(weekKey, periodHours, fullHours, periodEnd) {
+        if (CONFIG.straddlingWeekPolicy === 'prorata') {
+            return fullHours > 0 ? periodHours / fullHours : 0;
+        }
+        return shiftDateStr(isoWeekMonday(weekKey), 6) <= periodEnd ? 1 : 0;
+    }
+
+    // Overtime of the full civil week scaled to the share of the period; the other hours
+    // worked in the period are paid as regular hours
+    function shareWeekOvertime(overtime, periodHours, share) {
+        const round = (n) => Math.round(n * 100) / 100;
+        const structuralHours = round(overtime.structuralHours * share);
+        const complementaryHours = round((overtime.complementaryHours || 0) * share);
+        const totalOvertime = round(overtime.totalOvertime * share);
+        return {
+            ...overtime,
+            regularHours: Math.max(0, round(periodHours - structuralHours - complementaryHours - totalOvertime)),
+            structuralHours,
+            complementaryHours,
+            brackets: overtime.brackets
+                .map(b => ({ ...b, hours: round(b.hours * share), multipliedHours: round(b.multipliedHours * share) }))
+                .filter(b => b.hours > 0),
+            totalOvertime
+        };
+    }
+
     // --- Get weekly warnings ---
-    function getWeeklyWarnings(weeklyHours) {
+    function getWeeklyWarnings(weeklyHours, rollingAverage = null, contractBase = 35, youngWorker = false) {
         const warnings = [];
 
+        if (youngWorker && weeklyHours > CONFIG.youngWorker.weeklyMaxHours) {
+            warnings.push({
+                type: 'error',
+                message: `Moins de 18 ans : dépassement durée maximale hebdomadaire (${CONFIG.youngWorker.weeklyMaxHours}h)`
+            });
+        }
+
+        // Heures complémentaires limited to 1/3 of the contract duration
+        const complementaryMax = contractBase * (1 + CONFIG.complementaryMaxRatio);
+        if (isPartTime(contractBase) && weeklyHours > complementaryMax) {
+            warnings.push({
+                type: 'error',
+                blocking: true,
+                message: `Heures complémentaires au-delà du tiers de la durée contractuelle (max. ${formatHours(complementaryMax)} pour un contrat ${formatHours(contractBase)})`
+            });
+        }
+
         if (weeklyHours > CONFIG.weeklyMaxHours) {
             warnings.push({
                 type: 'error',
                 message: `Dépassement durée maximale hebdomadaire (${CONFIG.weeklyMaxHours}h)`
             });
-        } else if (weeklyHours > CONFIG.weeklyAvgMaxHours) {
+        }
+
+        if (rollingAverage && rollingAverage.average > CONFIG.weeklyAvgMaxHours) {
             warnings.push({
-                type: 'warning',
-                message: `Attention : ${CONFIG.weeklyAvgMaxHours}h max en moyenne sur 12 semaines`
+                type: 'error',
+                message: `Moyenne de ${formatHours(rollingAverage.average)} sur ${rollingAverage.weeks.length} semaines (max. ${CONFIG.weeklyAvgMaxHours}h en moyenne sur ${CONFIG.weeklyAvgWeeks} semaines)`,
+                chart: rollingAverage.weeks
             });
         }
 
         return warnings;
     }
 
+    // --- Weekly totals over stored history + the period ---
+    // Solidarity hours (solidarityByDate) are left out, as they are neither overtime nor paid
+    function getWeeklyTotals(history, weeklyHoursMap, contractBase, solidarityByDate = {}) {
+        const totals = {};
+        for (const entry of history) {
+            const weekKey = getISOWeek(new Date(`${entry.date}T12:00:00`));
+            const hours = getEffectiveHours(entry, contractBase) - (solidarityByDate[entry.date] || 0);
+            totals[weekKey] = (totals[weekKey] || 0) + hours;
+        }
+        for (const [weekKey, hours] of Object.entries(weeklyHoursMap)) {
+            totals[weekKey] = (totals[weekKey] || 0) + hours;
+        }
+        return totals;
+    }
+
+    // --- Rolling average over the last 12 weeks ---
+    function getRollingAverages(totals, weekMondays) {
+        // Weeks before the first recorded one (new hire, no data yet) are not averaged
+        const firstRecorded = Object.keys(totals).filter(k => totals[k] > 0).sort()[0];
+
+        const result = {};
+        for (const [weekKey, monday] of Object.entries(weekMondays)) {
+            const weeks = [];
+            for (let i = CONFIG.weeklyAvgWeeks - 1; i >= 0; i--) {
+                const d = new Date(monday);
+                d.setDate(d.getDate() - 7 * i);
+                const key = getISOWeek(d);
+                if (firstRecorded && key < firstRecorded) continue;
+                weeks.push({ week: key, hours: Math.round((totals[key] || 0) * 100) / 100 });
+            }
+            const sum = weeks.reduce((acc, w) => acc + w.hours, 0);
+            result[weekKey] = {
+                average: weeks.length ? Math.round((sum / weeks.length) * 100) / 100 : 0,
+                weeks
+            };
+        }
+        return result;
+    }
+
+    // --- Annual overtime quota (contingent) counted per calendar year ---
+    // Returns, for each week, the year-to-date overtime before and after it in each calendar
+    // year the week falls in. The overtime of a week straddling January 1st is shared between
+    // the two years like a week straddling the period (hoursByDate: hours counted per day).
+    // Structural hours of a 39h contract are overtime too and count towards the quota.
+    // With a modulated schedule, overtime only arises on the last week of each period.
+    function getYearToDateOvertime(totals, contractBase, schedule = null, hoursByDate = {}) {
+        const modulation = isModulated(schedule)
+            ? getModulation(totals, Object.fromEntries(Object.keys(totals).map(k => [k, new Date(`${isoWeekMonday(k)}T12:00:00`)])), schedule, contractBase)
+            : null;
+        const byWeek = {};
+        const byYear = {};
+        for (const weekKey of Object.keys(totals).sort()) {
+            const monday = isoWeekMonday(weekKey);
+            const sunday = shiftDateStr(monday, 6);
+            const overtime = modulation
+                ? (modulation.byWeek[weekKey].overtime || { totalOvertime: 0, structuralHours: 0 })
+                : calculateOvertime(totals[weekKey], contractBase, getRules(sunday));
+            const hours = overtime.totalOvertime + overtime.structuralHours;
+            let parts = [{ year: sunday.slice(0, 4), hours }];
+            if (monday.slice(0, 4) !== sunday.slice(0, 4)) {
+                const yearEnd = `${monday.slice(0, 4)}-12-31`;
+                let yearEndHours = 0;
+                for (let date = monday; date <= yearEnd; date = shiftDateStr(date, 1)) {
+                    yearEndHours += hoursByDate[date] || 0;
+                }
+                const share = getStraddlingShare(weekKey, yearEndHours, totals[weekKey], yearEnd);
+                parts = [{ year: sunday.slice(0, 4), hours: hours * (1 - share) }];
+                if (share > 0) parts.unshift({ year: monday.slice(0, 4), hours: hours * share });
+            }
+            byWeek[weekKey] = parts.map(part => {
+                const before = byYear[part.year] || 0;
+                byYear[part.year] = before + part.hours;
+                return {
+                    year: part.year,
+                    before: Math.round(before * 100) / 100,
+                    after: Math.round(byYear[part.year] * 100) / 100
+                };
+            });
+        }
+        return byWeek;
+    }
+
+    function getAnnualOvertimeWarning(before, after) {
+        const quota = CONFIG.annualOvertimeQuota;
+        const alertAt = quota * CONFIG.annualOvertimeWarningRatio;
+        if (after > quota && after > before) {
+            const beyond = after - Math.max(before, quota);
+            return {
+                type: 'error',
+                message: `Contingent annuel de ${quota}h dépassé (${formatHours(after)} cumulées, dont ${formatHours(beyond)} cette semaine) : contrepartie obligatoire en repos due`
+            };
+        }
+        if (after >= alertAt && before < alertAt) {
+            return {
+                type: 'warning',
+                message: `Contingent annuel bientôt atteint : ${formatHours(after)} / ${quota}h`
+            };
+        }
+        return null;
+    }
+
+    // --- Absolute work intervals (minutes since epoch) for cross-day checks ---
+    function getWorkIntervals(entry) {
+        const [y, m, d] = entry.date.split('-').map(Number);
+        const dayStart = Date.UTC(y, m - 1, d) / 60000;
+        return getSegmentMinutes(entry).map(seg => ({
+            date: entry.date,
+            start: dayStart + seg.start,
+            end: dayStart + seg.end
+        }));
+    }
+
+    function formatShortDate(dateStr) {
+        const [, m, d] = dateStr.split('-');
+        return `${d}/${m}`;
+    }
+
+    // Monday 00:00 (minutes since epoch) of the ISO week containing dateStr
+    function getWeekStartMinutes(dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        const date = new Date(Date.UTC(y, m - 1, d));
+        const dow = date.getUTCDay() || 7;
+        return (date.getTime() / 60000) - (dow - 1) * 1440;
+    }
+
+    // --- Daily (11h) and weekly (35h) rest checks across consecutive days ---
+    // birthDate: daily rest of 12h instead of 11h while the employee is under 18
+    function getRestWarnings(entries, birthDate = null) {
+        const byDate = {};
+        const byWeek = {};
+        const intervals = entries
+            .flatMap(getWorkIntervals)
+            .sort((a, b) => a.start - b.start);
+
+        if (intervals.length === 0) return { byDate, byWeek };
+
+        // Daily rest: end of a shift → start of the next day's shift
+        for (let i = 1; i < intervals.length; i++) {
+            const prev = intervals[i - 1];
+            const next = intervals[i];
+            if (prev.date === next.date) continue;
+            const minHours = isYoungWorker(birthDate, next.date)
+                ? CONFIG.youngWorker.minDailyRestHours
+                : CONFIG.minDailyRestHours;
+            const rest = next.start - prev.end;
+            if (rest < minHours * 60) {
+                (byDate[next.date] = byDate[next.date] || []).push({
+                    type: 'error',
+                    message: `Repos quotidien insuffisant : ${formatDuration(Math.max(0, rest))} entre le ${formatShortDate(prev.date)} et le ${formatShortDate(next.date)} (min. ${minHours}h)`
+                });
+            }
+        }
+
+        // Weekly rest: longest continuous rest attributed to each ISO week.
+        // A rest straddling two weeks counts for the week holding at least 24h of it.
+        const minWeeklyRest = CONFIG.minWeeklyRestHours * 60;
+        const weeks = {};
+        for (const iv of intervals) {
+            const weekKey = getISOWeek(new Date(`${iv.date}T12:00:00`));
+            if (!weeks[weekKey]) weeks[weekKey] = getWeekStartMinutes(iv.date);
+        }
+
+        for (const [weekKey, weekStart] of Object.entries(weeks)) {
+            const weekEnd = weekStart + 7 * 1440;
+            let longest = { duration: -1, from: null, to: null };
+            const consider = (restStart, restEnd, from, to) => {
+                const inWeek = Math.min(restEnd, weekEnd) - Math.max(restStart, weekStart);
+                if (inWeek <= 0) return;
+                const duration = inWeek >= 1440 ? restEnd - restStart : inWeek;
+                if (duration > longest.duration) longest = { duration, from, to };
+            };
+
+            // Before the first known shift / after the last one, rest is clipped to the week
+            const first = intervals[0];
+            consider(weekStart, first.start, null, first.date);
+            for (let i = 1; i < intervals.length; i++) {
+                const prev = intervals[i - 1];
+                const next = intervals[i];
+                consider(prev.end, next.start, prev.date, next.date);
+            }
+            const last = intervals[intervals.length - 1];
+            consider(last.end, weekEnd, last.date, null);
+
+            if (longest.duration < minWeeklyRest) {
+                const from = longest.from ? `du ${formatShortDate(longest.from)}` : 'du début de semaine';
+                const to = longest.to ? `au ${formatShortDate(longest.to)}` : 'à la fin de semaine';
+                byWeek[weekKey] = [{
+                    type: 'error',
+                    message: `Repos hebdomadaire insuffisant : ${formatDuration(Math.max(0, longest.duration))} consécutives au plus (${from} ${to}, min. ${CONFIG.minWeeklyRestHours}h)`
+                }];
+            }
+        }
+
+        return { byDate, byWeek };
+    }
+
+    // --- Paid leave (congés payés) ---
+    // First day (YYYY-MM-DD) of the reference period containing dateStr
+    function getLeaveReferenceStart(dateStr) {
+        const month = String(CONFIG.paidLeavePeriodStartMonth).padStart(2, '0');
+        const year = parseInt(dateStr.slice(0, 4));
+        const candidate = `${year}-${month}-01`;
+        return dateStr >= candidate ? candidate : `${year - 1}-${month}-01`;
+    }
+
+    // Months holding work or absences assimilated to work (paid leave, formation, ...)
+    function getLeaveMonthsWorked(entries) {
+        const months = new Set();
+        for (const entry of entries) {
+            const absence = getAbsenceType(entry);
+            if (calculateDailyHours(entry) > 0 || (absence && (absence.countsAsWork || absence.paid))) {
+                months.add(entry.date.slice(0, 7));
+            }
+        }
+        return months.size;
+    }
+
+    function getAcquiredLeaveDays(entries) {
+        return Math.min(CONFIG.paidLeaveMaxDays, getLeaveMonthsWorked(entries) * CONFIG.paidLeaveDaysPerMonth);
+    }
+
+    // Jours ouvrables taken: leave days from Monday to Saturday, public holidays excluded.
+    // The Saturday after a Friday of leave is counted too unless it was worked.
+    function countLeaveDaysTaken(entries, calendar = 'national') {
+        const byDate = {};
+        entries.forEach(entry => { byDate[entry.date] = entry; });
+        let days = 0;
+        for (const entry of entries) {
+            if (entry.absence !== CONFIG.paidLeaveCode) continue;
+            const date = new Date(`${entry.date}T12:00:00`);
+            if (isSunday(date) || isPublicHoliday(date, calendar)) continue;
+            days++;
+            if (date.getDay() === 5) {
+                const saturday = new Date(date);
+                saturday.setDate(date.getDate() + 1);
+                const satEntry = byDate[toDateStr(saturday)];
+                const satOff = !satEntry || (calculateDailyHours(satEntry) === 0 && !satEntry.absence);
+                if (satOff && !isPublicHoliday(saturday, calendar)) days++;
+            }
+        }
+        return days;
+    }
+
+    // Counters of the reference period and leave pay for the days taken in the period.
+    // context: { previousPeriod, currentPeriod } = stored entries of the previous reference
+    // period and of the current one before the selected period.
+    function getPaidLeaveCounters(context, entries, hourlyRate, contractBase, calendar = 'national') {
+        const previous = context.previousPeriod || [];
+        const before = context.currentPeriod || [];
+        const acquired = getAcquiredLeaveDays(previous);
+        const takenBefore = countLeaveDaysTaken(before, calendar);
+        const taken = countLeaveDaysTaken(entries, calendar);
+        const round = (n) => Math.round(n * 100) / 100;
+
+        const counters = {
+            referenceStart: context.referenceStart || null,
+            acquired,
+            acquiring: getAcquiredLeaveDays(before.concat(entries)),
+            takenBefore,
+            taken,
+            balance: acquired - takenBefore - taken,
+            pay: null
+        };
+
+        // Indemnité de congés payés: the more favourable of maintien de salaire and
+        // règle du dixième (1/10 of the reference period pay, prorated to the days taken)
+        if (taken > 0 && hourlyRate > 0) {
+            const leaveHours = entries
+                .filter(entry => entry.absence === CONFIG.paidLeaveCode)
+                .reduce((sum, entry) => sum + getAbsenceHours(entry, contractBase), 0);
+            const maintien = leaveHours * hourlyRate;
+            const referencePay = previous.length > 0
+                ? processEntries(previous, hourlyRate, contractBase).totalPay.total
+                : 0;
+            const dixieme = acquired > 0 ? (referencePay / 10) * Math.min(1, taken / acquired) : 0;
+            counters.pay = {
+                maintien: round(maintien),
+                dixieme: round(dixieme),
+                referencePay: round(referencePay),
+                applied: dixieme > maintien ? 'dixieme' : 'maintien',
+                adjustment: round(Math.max(0, dixieme - maintien))
+            };
+        }
+
+        return counters;
+    }
+
+    // --- Forfait-jours (cadres): days worked counted against the annual forfait ---
+    function isForfait(schedule) {
+        return !!schedule && schedule.mode === 'forfait';
+    }
+
+    // Reference year of the forfait: from the anniversary of the anchor date (January 1st by default)
+    function getForfaitPeriod(dateStr, schedule) {
+        const anchor = (schedule.anchor || '2000-01-01').slice(4);
+        const year = Number(dateStr.slice(0, 4));
+        const start = `${year}${anchor}` <= dateStr ? `${year}${anchor}` : `${year - 1}${anchor}`;
+        const end = shiftDateStr(`${Number(start.slice(0, 4)) + 1}${anchor}`, -1);
+        return { start, end };
+    }
+
+    // A day with hours or with an absence counted as work (formation) is a day worked
+    function isDayWorked(entry) {
+        const absence = getAbsenceType(entry);
+        return calculateDailyHours(entry) > 0 || !!(absence && absence.countsAsWork);
+    }
+
+    // Same result shape as processEntries, with days instead of hours: no overtime nor
+    // hour-based maximums, only the rest periods and the annual number of days are checked
+    function processForfaitEntries(entries, contractBase, options) {
+        const schedule = options.schedule;
+        const calendar = options.holidayCalendar || 'national';
+        const history = options.history || [];
+        const forfaitDays = schedule.forfaitDays || CONFIG.forfaitDays;
+        const restWarnings = getRestWarnings(history.concat(entries));
+        const countDays = (list, period) => list
+            .filter(e => e.date >= period.start && e.date <= period.end && isDayWorked(e))
+            .length;
+
+        const periods = {};
+        const dailyResults = [];
+        const weeks = {};
+        const absences = {};
+        let totalHours = 0;
+        let totalDays = 0;
+
+        const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+        for (const entry of sorted) {
+            const date = new Date(`${entry.date}T12:00:00`);
+            const hoursWorked = calculateDailyHours(entry);
+            const holiday = isPublicHoliday(date, calendar);
+            const closure = getClosureDay(date);
+            const absence = getAbsenceType(entry);
+            const absenceHours = getAbsenceHours(entry, contractBase);
+            const dayWorked = isDayWorked(entry);
+            const warnings = [].concat(restWarnings.byDate[entry.date] || [])
+                .concat(getContractWarnings(entry, options.hireDate, options.exitDate));
+
+            const period = getForfaitPeriod(entry.date, schedule);
+            if (!periods[period.start]) {
+                periods[period.start] = { ...period, forfaitDays, beforePeriod: countDays(history, period), days: 0 };
+            }
+            const counter = periods[period.start];
+            if (dayWorked) {
+                counter.days++;
+                totalDays++;
+                const count = counter.beforePeriod + counter.days;
+                if (count === forfaitDays + 1) {
+                    warnings.push({
+                        type: 'warning',
+                        message: `Forfait de ${forfaitDays} jours dépassé : renonciation à des jours de repos à formaliser (rachat majoré)`
+                    });
+                }
+                if (count === CONFIG.forfaitMaxDays + 1) {
+                    warnings.push({
+                        type: 'error',
+                        message: `Plafond de ${CONFIG.forfaitMaxDays} jours travaillés par an dépassé`
+                    });
+                }
+            }
+
+            if (absence) {
+                if (!absences[absence.code]) {
+                    absences[absence.code] = { code: absence.code, label: absence.label, days: 0, hours: 0 };
+                }
+                absences[absence.code].days++;
+                absences[absence.code].hours = Math.round((absences[absence.code].hours + absenceHours) * 100) / 100;
+            }
+
+            const weekKey = getISOWeek(date);
+            if (!weeks[weekKey]) weeks[weekKey] = { hours: 0, days: 0 };
+            weeks[weekKey].hours += hoursWorked;
+            if (dayWorked) weeks[weekKey].days++;
+            totalHours += hoursWorked;
+
+            dailyResults.push({
+                date: entry.date,
+                dayName: date.toLocaleDateString('fr-FR', { weekday: 'long' }),
+                hoursWorked,
+                nightHours: 0,
+                dayWorked,
+                isHoliday: !!holiday,
+                holidayName: holiday ? holiday.name : null,
+                closureName: closure ? closure.name : null,
+                solidarityHours: 0,
+                isSunday: isSunday(date),
+                warnings,
+                isSplitDay: isSplitDay(entry),
+                absence: absence ? absence.code : null,
+                absenceLabel: absence ? absence.label : null,
+                absenceHours,
+                start: entry.start,
+                end: entry.end,
+                breakDuration: entry.breakDuration,
+                segments: getSegments(entry),
+                roundedSegments: getRoundedSegments(entry)
+            });
+        }
+
+        const weeklyResults = Object.keys(weeks).sort().map(weekKey => ({
+            week: weekKey,
+            totalHours: Math.round(weeks[weekKey].hours * 100) / 100,
+            days: weeks[weekKey].days,
+            overtime: calculateOvertime(0, contractBase),
+            warnings: restWarnings.byWeek[weekKey] || [],
+            pay: null,
+            sundayHours: 0,
+            holidayHours: 0,
+            nightHours: 0,
+            rollingAverage: null,
+            modulation: null,
+            yearToDateOvertime: 0,
+            cumulativeOvertime: 0
+        }));
+
+        const forfait = Object.values(periods).map(counter => {
+            const total = counter.beforePeriod + counter.days;
+            return {
+                ...counter,
+                total,
+                remaining: Math.max(0, counter.forfaitDays - total),
+                excess: Math.max(0, total - counter.forfaitDays)
+            };
+        });
+
+        return {
+            dailyResults,
+            weeklyResults,
+            totalHours: Math.round(totalHours * 100) / 100,
+            totalDays,
+            forfait,
+            totalNightHours: 0,
+            nightRestHours: 0,
+            totalSundayHours: 0,
+            totalHolidayHours: 0,
+            splitDays: dailyResults.filter(d => d.isSplitDay).length,
+            totalAbsenceHours: Math.round(Object.values(absences).reduce((sum, a) => sum + a.hours, 0) * 100) / 100,
+            absences: Object.values(absences),
+            totalSolidarityHours: 0,
+            solidarity: [],
+            totalOvertime: 0,
+            totalComplementaryHours: 0,
+            annualOvertime: [],
+            paidLeave: options.paidLeave ? getPaidLeaveCounters(options.paidLeave, entries, 0, contractBase, calendar) : null,
+            modulation: null,
+            totalPay: null, // rémunération forfaitaire
+            contractBase
+        };
+    }
+
     // --- Process a full period ---
-    function processEntries(entries, hourlyRate, contractBase = 35) {
+    // options.history: stored entries preceding the period (rolling 12-week average, solidarity hours since January 1st)
+    // options.paidLeave: stored entries of the leave reference periods (see getPaidLeaveCounters)
+    // options.schedule: working-time arrangement (weekly, N-week cycle, annual reference or forfait-jours)
+    // options.holidayCalendar: key of HOLIDAY_CALENDARS applicable to the employee
+    // options.birthDate: young-worker limits apply on the days the employee is under 18
+    // options.period: { start, end } selected; options.following: stored entries after the end
+    // of the period up to the end of its last week (weeks straddling the period)
+    // options.premiumOverrides: individual premium and overtime rates of the employee
+    // options.classification: grid classification checked with the SMIC (wageWarnings)
+    // options.hireDate / exitDate: seniority at the end of the period and prime d'ancienneté
+    function processEntries(entries, hourlyRate, contractBase = 35, options = {}) {
+        const sortedDates = entries.map(e => e.date).sort();
+        const period = options.period || { start: sortedDates[0] || null, end: sortedDates[sortedDates.length - 1] || null };
+        const wageWarnings = getWageWarnings(hourlyRate, options.classification || null, period.start, period.end);
+        const hireDate = options.hireDate || null;
+        const exitDate = options.exitDate || null;
+        const periodSeniority = getSeniority(hireDate, period.end, exitDate);
+        const seniority = periodSeniority
+            ? { ...periodSeniority, hireDate, exitDate, bonusRate: getSeniorityBonusRate(periodSeniority) }
+            : null;
+        if (isForfait(options.schedule)) {
+            return { ...processForfaitEntries(entries, contractBase, options), wageWarnings, seniority };
+        }
+
         const dailyResults = [];
         let totalHours = 0;
         let totalNightHours = 0;
         let totalSundayHours = 0;
         let totalHolidayHours = 0;
+        let splitDays = 0;
+        let totalAbsenceHours = 0;
+        const absences = {};
         const weeklyHoursMap = {};
         const weeklySundayMap = {};
         const weeklyHolidayMap = {};
+        const weeklyPremiumRated = {}; // Σ hours × premium rate of the day (rates may change mid-week)
+        const weeklyNightMap = {};
+        const weeklyPaidAbsenceMap = {};
+        const weeklyUnpaidAbsenceMap = {};
+        const weeklySolidarityMap = {};
+        const weekMondays = {};
+        const history = options.history || [];
+        const schedule = isModulated(options.schedule) ? options.schedule : null;
+        const calendar = options.holidayCalendar || 'national';
+        const birthDate = options.birthDate || null;
+        const overrides = options.premiumOverrides || null;
+        const restWarnings = getRestWarnings(history.concat(entries), birthDate);
+        const solidarity = allocateSolidarityHours(history.concat(entries), contractBase);
+        let totalSolidarityHours = 0;
 
         for (const entry of entries) {
-            const date = new Date(entry.date);
+            const date = new Date(`${entry.date}T12:00:00`);
             const hoursWorked = calculateDailyHours(entry);
             const nightHours = calculateNightHours(entry);
-            const holiday = isPublicHoliday(date);
+            const holiday = isPublicHoliday(date, calendar);
+            const closure = getClosureDay(date);
             const sunday = isSunday(date);
-            const warnings = getDailyWarnings(entry, hoursWorked);
+            const young = isYoungWorker(birthDate, entry.date);
+            const warnings = getDailyWarnings(entry, hoursWorked, young)
+                .concat(restWarnings.byDate[entry.date] || [])
+                .concat(getContractWarnings(entry, hireDate, exitDate));
+
+            // Moins de 18 ans : repos dominical et jours fériés chômés (sauf dérogation)
+            if (young && hoursWorked > 0 && sunday) {
+                warnings.push({ type: 'error', message: 'Moins de 18 ans : travail le dimanche interdit sauf dérogation' });
+            }
+            if (young && hoursWorked > 0 && holiday) {
+                warnings.push({ type: 'error', message: 'Moins de 18 ans : travail un jour férié interdit sauf dérogation' });
+            }
 
             // Get ISO week number for grouping
             const weekKey = getISOWeek(date);
             if (!weeklyHoursMap[weekKey]) weeklyHoursMap[weekKey] = 0;
             if (!weeklySundayMap[weekKey]) weeklySundayMap[weekKey] = 0;
             if (!weeklyHolidayMap[weekKey]) weeklyHolidayMap[weekKey] = 0;
+            if (!weeklyNightMap[weekKey]) weeklyNightMap[weekKey] = 0;
+            if (!weeklyPaidAbsenceMap[weekKey]) weeklyPaidAbsenceMap[weekKey] = 0;
+            if (!weekMondays[weekKey]) {
+                weekMondays[weekKey] = new Date(date);
+                weekMondays[weekKey].setDate(date.getDate() - ((date.getDay() || 7) - 1));
+            }
 
-            weeklyHoursMap[weekKey] += hoursWorked;
+            // Journée de solidarité: unpaid hours, excluded from overtime and holiday premium
+            const solidarityHours = solidarity.byDate[entry.date] || 0;
+            weeklyHoursMap[weekKey] += hoursWorked - solidarityHours;
+            if (solidarityHours > 0) {
+                weeklySolidarityMap[weekKey] = (weeklySolidarityMap[weekKey] || 0) + solidarityHours;
+                totalSolidarityHours += solidarityHours;
+            }
 
-            // Track sunday and holiday hours
+            // Absences: effective work time counts towards the thresholds,
+            // other paid absences are maintained in the pay estimate
+            const absence = getAbsenceType(entry);
+            const absenceHours = getAbsenceHours(entry, contractBase);
+            if (absence) {
+                if (absence.countsAsWork) weeklyHoursMap[weekKey] += absenceHours;
+                else if (absence.paid) weeklyPaidAbsenceMap[weekKey] += absenceHours;
+                else weeklyUnpaidAbsenceMap[weekKey] = (weeklyUnpaidAbsenceMap[weekKey] || 0) + absenceHours;
+                if (!absences[absence.code]) {
+                    absences[absence.code] = { code: absence.code, label: absence.label, days: 0, hours: 0 };
+                }
+                absences[absence.code].days++;
+                absences[absence.code].hours = Math.round((absences[absence.code].hours + absenceHours) * 100) / 100;
+                totalAbsenceHours += absenceHours;
+            }
+
+            // Track sunday and holiday hours, with the premium rates in force that day
+            const dayRules = applyPremiumOverrides(getRules(entry.date), overrides);
+            if (!weeklyPremiumRated[weekKey]) weeklyPremiumRated[weekKey] = { sunday: 0, holiday: 0 };
             if (sunday && hoursWorked > 0) {
                 weeklySundayMap[weekKey] += hoursWorked;
+                weeklyPremiumRated[weekKey].sunday += hoursWorked * dayRules.sundayPremiumRate;
                 totalSundayHours += hoursWorked;
             }
-            if (holiday && hoursWorked > 0) {
-                weeklyHolidayMap[weekKey] += hoursWorked;
-                totalHolidayHours += hoursWorked;
+            const holidayWorked = hoursWorked - solidarityHours;
+            if (holiday && holidayWorked > 0) {
+                weeklyHolidayMap[weekKey] += holidayWorked;
+                weeklyPremiumRated[weekKey].holiday += holidayWorked * dayRules.holidayPremiumRate;
+                totalHolidayHours += holidayWorked;
             }
 
             totalHours += hoursWorked;
             totalNightHours += nightHours;
+            weeklyNightMap[weekKey] += nightHours;
+
+            const splitDay = isSplitDay(entry);
+            if (splitDay) splitDays++;
 
             dailyResults.push({
                 date: entry.date,
@@ -409,26 +1677,111 @@ const FrenchRules = (() => {
                 nightHours,
                 isHoliday: !!holiday,
                 holidayName: holiday ? holiday.name : null,
+                closureName: closure ? closure.name : null,
+                solidarityHours,
                 isSunday: sunday,
                 warnings,
+                isSplitDay: splitDay,
+                absence: absence ? absence.code : null,
+                absenceLabel: absence ? absence.label : null,
+                absenceHours,
                 start: entry.start,
                 end: entry.end,
-                breakDuration: entry.breakDuration
+                breakDuration: entry.breakDuration,
+                segments: getSegments(entry),
+                roundedSegments: getRoundedSegments(entry)
             });
         }
 
+        // Modulation: the last week of a period ending within the range carries its
+        // overtime, even when none of its days was entered
+        if (schedule && entries.length > 0) {
+            const dates = entries.map(e => e.date).sort();
+            const lastDate = dates[dates.length - 1];
+            for (let period = getModulationPeriod(dates[0], schedule); period.end <= lastDate;
+                period = getModulationPeriod(shiftDateStr(period.end, 1), schedule)) {
+                const lastMonday = new Date(`${shiftDateStr(period.end, -6)}T12:00:00`);
+                const weekKey = getISOWeek(lastMonday);
+                if (weeklyHoursMap[weekKey] === undefined) {
+                    weeklyHoursMap[weekKey] = 0;
+                    weekMondays[weekKey] = lastMonday;
+                }
+            }
+        }
+
         // Weekly breakdown
+        const following = options.following || [];
+        const weeklyTotals = getWeeklyTotals(history.concat(following), weeklyHoursMap, contractBase, solidarity.byDate);
+        const rollingAverages = getRollingAverages(weeklyTotals, weekMondays);
+        const hoursByDate = {};
+        for (const entry of history.concat(following, entries)) {
+            hoursByDate[entry.date] = getEffectiveHours(entry, contractBase) - (solidarity.byDate[entry.date] || 0);
+        }
+        const yearToDate = getYearToDateOvertime(weeklyTotals, contractBase, schedule, hoursByDate);
+        const modulation = schedule ? getModulation(weeklyTotals, weekMondays, schedule, contractBase, overrides) : null;
+        const annualOvertime = {};
         const weeklyResults = [];
         let cumulativeOvertime = 0;
+        let totalComplementaryHours = 0;
 
-        for (const [weekKey, hours] of Object.entries(weeklyHoursMap)) {
+        const weeks = Object.entries(weeklyHoursMap).sort(([a], [b]) => a.localeCompare(b));
+        for (const [weekKey, hours] of weeks) {
             const sundayH = weeklySundayMap[weekKey] || 0;
             const holidayH = weeklyHolidayMap[weekKey] || 0;
-            const overtime = calculateOvertime(hours, contractBase);
-            const warnings = getWeeklyWarnings(hours);
-            const pay = calculatePay(hours, hourlyRate, contractBase, sundayH, holidayH);
+            const nightH = weeklyNightMap[weekKey] || 0;
+            const paidAbsenceH = weeklyPaidAbsenceMap[weekKey] || 0;
+            // Weekly thresholds follow the rules in force at the end of the week,
+            // premiums the rates of the days they were earned
+            const weekRules = applyPremiumOverrides(getRules(shiftDateStr(toDateStr(weekMondays[weekKey]), 6)), overrides);
+            const rated = weeklyPremiumRated[weekKey] || { sunday: 0, holiday: 0 };
+            const payRules = {
+                ...weekRules,
+                sundayPremiumRate: sundayH > 0 ? rated.sunday / sundayH : weekRules.sundayPremiumRate,
+                holidayPremiumRate: holidayH > 0 ? rated.holiday / holidayH : weekRules.holidayPremiumRate
+            };
+            const weekModulation = modulation ? modulation.byWeek[weekKey] : null;
+            // A week straddling the period: overtime computed on the full civil week
+            const weekMonday = toDateStr(weekMondays[weekKey]);
+            const straddling = !weekModulation && (weekMonday < period.start || shiftDateStr(weekMonday, 6) > period.end);
+            const fullHours = straddling ? weeklyTotals[weekKey] : hours;
+            const share = straddling ? getStraddlingShare(weekKey, hours, fullHours, period.end) : 1;
+            let overtime;
+            if (weekModulation) {
+                overtime = getModulatedWeekBreakdown(weekModulation, contractBase, weeklyUnpaidAbsenceMap[weekKey]);
+            } else if (straddling) {
+                overtime = shareWeekOvertime(calculateOvertime(fullHours, contractBase, weekRules), hours, share);
+            } else {
+                overtime = calculateOvertime(hours, contractBase, weekRules);
+            }
+            const ytd = yearToDate[weekKey];
+            const quotaWarnings = ytd.map(counter => getAnnualOvertimeWarning(counter.before, counter.after)).filter(Boolean);
+            // Maximum durations apply to all hours worked, solidarity hours included
+            const weekYoung = isYoungWorker(birthDate, toDateStr(weekMondays[weekKey]));
+            const warnings = getWeeklyWarnings(fullHours + (weeklySolidarityMap[weekKey] || 0), rollingAverages[weekKey], contractBase, weekYoung)
+                .concat(restWarnings.byWeek[weekKey] || [])
+                .concat(quotaWarnings);
+            // Under modulation the smoothed salary already covers paid absences
+            const pay = weekModulation
+                ? calculatePay(hours, hourlyRate, contractBase, sundayH, holidayH, nightH, 0, overtime, payRules)
+                : calculatePay(hours, hourlyRate, contractBase, sundayH, holidayH, nightH, paidAbsenceH, overtime, payRules);
+            // Prime d'ancienneté on the base salary of the week (maintained absences included),
+            // at the seniority reached by the end of the week within the period
+            if (pay) {
+                const weekEnd = shiftDateStr(weekMonday, 6) < period.end ? shiftDateStr(weekMonday, 6) : period.end;
+                pay.seniorityRate = getSeniorityBonusRate(getSeniority(hireDate, weekEnd, exitDate));
+                pay.seniorityBonus = Math.round((pay.regularPay + pay.absencePay) * pay.seniorityRate * 100) / 100;
+                pay.totalPay = Math.round((pay.totalPay + pay.seniorityBonus) * 100) / 100;
+            }
 
             cumulativeOvertime += overtime.totalOvertime;
+            totalComplementaryHours += overtime.complementaryHours || 0;
+
+            for (const counter of ytd) {
+                if (!annualOvertime[counter.year]) {
+                    annualOvertime[counter.year] = { year: Number(counter.year), quota: CONFIG.annualOvertimeQuota, beforePeriod: counter.before };
+                }
+                annualOvertime[counter.year].hours = counter.after;
+            }
 
             weeklyResults.push({
                 week: weekKey,
@@ -438,10 +1791,39 @@ const FrenchRules = (() => {
                 pay,
                 sundayHours: Math.round(sundayH * 100) / 100,
                 holidayHours: Math.round(holidayH * 100) / 100,
+                nightHours: Math.round(nightH * 100) / 100,
+                rollingAverage: rollingAverages[weekKey],
+                modulation: weekModulation,
+                straddling: straddling ? { fullHours: Math.round(fullHours * 100) / 100, share: Math.round(share * 10000) / 10000 } : null,
+                yearToDateOvertime: ytd[ytd.length - 1].after,
                 cumulativeOvertime: Math.round(cumulativeOvertime * 100) / 100
             });
         }
 
+        // Contrepartie obligatoire en repos for hours beyond the annual quota
+        for (const counter of Object.values(annualOvertime)) {
+            const beyond = Math.max(0, counter.hours - counter.quota);
+            counter.beyondQuota = Math.round(beyond * 100) / 100;
+            counter.corHours = Math.round(beyond * CONFIG.corRate * 100) / 100;
+        }
+
+        // Solidarity obligation of each year of the period, tracked until it is met
+        const periodDates = new Set(entries.map(e => e.date));
+        const solidarityYears = [...new Set(entries.map(e => e.date.slice(0, 4)))].sort().map(year => {
+            const done = Math.round((solidarity.done[year] || 0) * 100) / 100;
+            return {
+                year: Number(year),
+                obligation: solidarity.obligation,
+                done,
+                remaining: Math.round(Math.max(0, solidarity.obligation - done) * 100) / 100,
+                inPeriod: getSolidaritySlots(year).some(slot => periodDates.has(slot.date))
+            };
+        });
+
+        const paidLeave = options.paidLeave
+            ? getPaidLeaveCounters(options.paidLeave, entries, hourlyRate, contractBase, calendar)
+            : null;
+
         // Total pay across all weeks
         let totalPay = null;
         if (hourlyRate > 0) {
@@ -449,25 +1831,44 @@ const FrenchRules = (() => {
                 regular: 0,
                 structural: 0,
                 overtime: 0,
+                complementary: 0,
                 sundayPremium: 0,
                 holidayPremium: 0,
-                total: 0
+                nightPremium: 0,
+                absence: 0,
+                seniorityBonus: 0,
+                paidLeaveAdjustment: 0,
+                total: 0,
+                overrides: getOverriddenAmounts(overrides)
             };
             for (const w of weeklyResults) {
                 if (w.pay) {
                     totalPay.regular += w.pay.regularPay;
                     totalPay.structural += w.pay.structuralPay;
                     totalPay.overtime += w.pay.overtimePay;
+                    totalPay.complementary += w.pay.complementaryPay;
                     totalPay.sundayPremium += w.pay.sundayPremium;
                     totalPay.holidayPremium += w.pay.holidayPremium;
+                    totalPay.nightPremium += w.pay.nightPremium;
+                    totalPay.absence += w.pay.absencePay;
+                    totalPay.seniorityBonus += w.pay.seniorityBonus;
                     totalPay.total += w.pay.totalPay;
                 }
             }
             totalPay.regular = Math.round(totalPay.regular * 100) / 100;
             totalPay.structural = Math.round(totalPay.structural * 100) / 100;
             totalPay.overtime = Math.round(totalPay.overtime * 100) / 100;
+            totalPay.complementary = Math.round(totalPay.complementary * 100) / 100;
             totalPay.sundayPremium = Math.round(totalPay.sundayPremium * 100) / 100;
             totalPay.holidayPremium = Math.round(totalPay.holidayPremium * 100) / 100;
+            totalPay.nightPremium = Math.round(totalPay.nightPremium * 100) / 100;
+            totalPay.absence = Math.round(totalPay.absence * 100) / 100;
+            totalPay.seniorityBonus = Math.round(totalPay.seniorityBonus * 100) / 100;
+            // Règle du dixième more favourable than the salary maintained for the leave days
+            if (paidLeave && paidLeave.pay) {
+                totalPay.paidLeaveAdjustment = paidLeave.pay.adjustment;
+                totalPay.total += paidLeave.pay.adjustment;
+            }
             totalPay.total = Math.round(totalPay.total * 100) / 100;
         }
 
@@ -476,14 +1877,64 @@ const FrenchRules = (() => {
             weeklyResults,
             totalHours: Math.round(totalHours * 100) / 100,
             totalNightHours: Math.round(totalNightHours * 100) / 100,
+            nightRestHours: Math.round(totalNightHours * CONFIG.nightRestRate * 100) / 100,
             totalSundayHours: Math.round(totalSundayHours * 100) / 100,
             totalHolidayHours: Math.round(totalHolidayHours * 100) / 100,
+            splitDays,
+            totalAbsenceHours: Math.round(totalAbsenceHours * 100) / 100,
+            absences: Object.values(absences),
+            totalSolidarityHours: Math.round(totalSolidarityHours * 100) / 100,
+            solidarity: solidarityYears,
             totalOvertime: Math.round(cumulativeOvertime * 100) / 100,
+            totalComplementaryHours: Math.round(totalComplementaryHours * 100) / 100,
+            annualOvertime: Object.values(annualOvertime),
+            paidLeave,
+            modulation: modulation ? modulation.periods : null,
             totalPay,
+            wageWarnings,
+            seniority,
             contractBase
         };
     }
 
+    // --- Apply company settings (stored in the settings table) ---
+    const CONFIGURABLE_KEYS = ['nightPremiumRate', 'nightRestRate', 'paidLeaveDaysPerMonth', 'paidLeavePeriodStartMonth'];
+
+    function configure(settings = {}) {
+        for (const key of CONFIGURABLE_KEYS) {
+            const value = parseFloat(settings[key]);
+            if (!Number.isNaN(value) && value >= 0) CONFIG[key] = value;
+        }
+        CONFIG.paidLeavePeriodStartMonth = Math.min(12, Math.max(1, Math.round(CONFIG.paidLeavePeriodStartMonth)));
+        if (Array.isArray(settings.closureDays)) {
+            CONFIG.closureDays = settings.closureDays.filter(c => c && /^\d{4}-\d{2}-\d{2}$/.test(c.date));
+        }
+        if (settings.absenceTypes && typeof settings.absenceTypes === 'object') {
+            CONFIG.absenceTypes = settings.absenceTypes;
+        }
+        if (settings.timeRounding && typeof settings.timeRounding === 'object') {
+            const rounding = settings.timeRounding;
+            const minutes = (value) => Math.max(0, parseInt(value) || 0);
+            CONFIG.timeRounding = {
+                granularity: minutes(rounding.granularity),
+                direction: ['nearest', 'up', 'down'].includes(rounding.direction) ? rounding.direction : 'nearest',
+                toleranceBefore: minutes(rounding.toleranceBefore),
+                toleranceAfter: minutes(rounding.toleranceAfter)
+            };
+        }
+        if (['week-end', 'prorata'].includes(settings.straddlingWeekPolicy)) {
+            CONFIG.straddlingWeekPolicy = settings.straddlingWeekPolicy;
+        }
+        if (settings.solidarityDays && typeof settings.solidarityDays === 'object') {
+            CONFIG.solidarityDays = settings.solidarityDays;
+        }
+        if (Array.isArray(settings.seniorityBonus)) {
+            CONFIG.seniorityBonus = settings.seniorityBonus
+                .filter(step => step && step.years >= 0 && step.rate >= 0)
+                .sort((a, b) => a.years - b.years);
+        }
+    }
+
     // --- ISO week number ---
     function getISOWeek(date) {
         const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
@@ -498,16 +1949,47 @@ const FrenchRules = (() => {
     return {
         CONFIG,
         LEGAL_SOURCES,
+        configure,
+        HOLIDAY_CALENDARS,
         getPublicHolidays,
         isPublicHoliday,
+        getClosureDay,
+        getSolidarityObligation,
+        getSolidaritySlots,
+        isSolidarityDate,
+        isYoungWorker,
+        getSegments,
+        getRoundedSegments,
+        roundTime,
+        summarizeSegments,
+        isSplitDay,
+        getAbsenceType,
+        getAbsenceHours,
+        getLeaveReferenceStart,
+        setRuleSets,
+        getRules,
+        applyPremiumOverrides,
+        getClassificationCode,
+        getClassificationLabel,
+        getGridMinimum,
+        getWageWarnings,
+        getSeniority,
+        getSeniorityBonusRate,
+        getModulationPeriod,
+        isForfait,
+        getForfaitPeriod,
+        countLeaveDaysTaken,
         calculateDailyHours,
         calculateNightHours,
+        getMonthlyHours,
+        isPartTime,
         calculateHourlyRate,
         calculateOvertime,
         calculatePay,
         processEntries,
         getDailyWarnings,
         getWeeklyWarnings,
+        getRestWarnings,
         getISOWeek,
         formatHours,
         formatDuration,
@@ -515,3 +1997,8 @@ const FrenchRules = (() => {
         minutesToHours
     };
 })();
+
+// Node.js export (server-side reports use the same engine as the browser)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrenchRules;
+}
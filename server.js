@@ -10,11 +10,13 @@ const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const ftp = require('basic-ftp');
+const FrenchRules = require('./public/js/french-rules');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'workhours.db');
 const AUTH_PASSWORD = process.env.AUTH_PASSWORD || '';
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
 
 // Ensure data directory exists
 fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
@@ -31,6 +33,21 @@ db.exec(`
         name TEXT NOT NULL UNIQUE,
         gross_monthly_salary REAL DEFAULT 0,
         contract_base INTEGER DEFAULT 35,
+        work_schedule TEXT DEFAULT 'weekly',
+        cycle_weeks INTEGER DEFAULT 4,
+        schedule_anchor TEXT,
+        forfait_days INTEGER DEFAULT 218,
+        holiday_calendar TEXT DEFAULT 'national',
+        birth_date TEXT,
+        sunday_premium_rate REAL,
+        holiday_premium_rate REAL,
+        night_premium_rate REAL,
+        overtime_first_rate REAL,
+        overtime_second_rate REAL,
+        classification TEXT,
+        hire_date TEXT,
+        exit_date TEXT,
+        pin_hash TEXT,
         created_at TEXT DEFAULT (datetime('now')),
         updated_at TEXT DEFAULT (datetime('now'))
     );
@@ -42,6 +59,8 @@ db.exec(`
         start TEXT DEFAULT '',
         end TEXT DEFAULT '',
         break_duration INTEGER DEFAULT 0,
+        segments TEXT,
+        absence TEXT,
         FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
         UNIQUE(employee_id, date)
     );
@@ -50,11 +69,154 @@ db.exec(`
         key TEXT PRIMARY KEY,
         value TEXT
     );
+
+    CREATE TABLE IF NOT EXISTS rule_sets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        valid_from TEXT NOT NULL,
+        valid_to TEXT,
+        rules TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Time clock punches; kind: 'in' | 'break_start' | 'break_end' | 'out', next_day = 1 for the
+    -- punches of a shift that continued past midnight (stored on the day the shift started)
+    CREATE TABLE IF NOT EXISTS punches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_id INTEGER NOT NULL,
+        date TEXT NOT NULL,
+        time TEXT NOT NULL,
+        next_day INTEGER DEFAULT 0,
+        kind TEXT NOT NULL,
+        source TEXT DEFAULT 'kiosk',
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_punches_employee ON punches(employee_id, date);
+
+    -- role: 'admin' | 'manager' | 'accountant' | 'employee' (self-service, linked to employee_id) | 'kiosk' (time clock)
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'manager',
+        employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+        must_change_password INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Errors reported by an employee on one of their days. status: 'open' | 'resolved'
+    CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_id INTEGER NOT NULL,
+        date TEXT NOT NULL,
+        message TEXT NOT NULL,
+        user TEXT,
+        status TEXT DEFAULT 'open',
+        resolved_by TEXT,
+        resolved_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_comments_employee ON comments(employee_id, date);
+
+    -- Closed payroll months (clôture), one row per employee and month: the days of a closing
+    -- still active (reopened_at NULL) can no longer be changed. snapshot: report computed at closing
+    CREATE TABLE IF NOT EXISTS closings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_id INTEGER NOT NULL,
+        month TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        closed_by TEXT,
+        closed_at TEXT DEFAULT (datetime('now')),
+        reopened_by TEXT,
+        reopened_at TEXT,
+        reopen_reason TEXT,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_closings_active ON closings(employee_id, month) WHERE reopened_at IS NULL;
+
+    -- Audit trail: one row per write, never updated nor deleted (no foreign key, so the history of a
+    -- deleted employee is kept). entity: 'entry' | 'employee' | 'rule_set' | 'setting' | 'user' | 'comment' | 'closing'
+    -- | 'punch' | 'pin' (the PIN itself is never recorded)
+    CREATE TABLE IF NOT EXISTS history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity TEXT NOT NULL,
+        entity_key TEXT NOT NULL,
+        employee_id INTEGER,
+        date TEXT,
+        action TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        user TEXT,
+        revert_of INTEGER,
+        created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_history_employee ON history(employee_id, date);
+
+    CREATE TRIGGER IF NOT EXISTS history_no_update BEFORE UPDATE ON history
+    BEGIN SELECT RAISE(ABORT, 'history is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS history_no_delete BEFORE DELETE ON history
+    BEGIN SELECT RAISE(ABORT, 'history is append-only'); END;
 `);
 
+// Migrations: add columns introduced after the first release to existing databases
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// Split shifts: JSON array of { start, end, breakDuration }, NULL for a single shift.
+// start/end/break_duration then hold the day summary (first start, last end, breaks + gaps).
+addColumnIfMissing('entries', 'segments', 'TEXT');
+addColumnIfMissing('entries', 'absence', 'TEXT');
+
+// Working-time arrangement: 'weekly', 'cycle' (N weeks from schedule_anchor) or
+// 'annual' (reference year starting on the schedule_anchor day)
+addColumnIfMissing('employees', 'work_schedule', "TEXT DEFAULT 'weekly'");
+addColumnIfMissing('employees', 'cycle_weeks', 'INTEGER DEFAULT 4');
+addColumnIfMissing('employees', 'schedule_anchor', 'TEXT');
+// Forfait-jours (work_schedule 'forfait'): days worked per reference year
+addColumnIfMissing('employees', 'forfait_days', 'INTEGER DEFAULT 218');
+
+// Public-holiday calendar of the employee's site (key of FrenchRules.HOLIDAY_CALENDARS)
+addColumnIfMissing('employees', 'holiday_calendar', "TEXT DEFAULT 'national'");
+
+// Birth date (YYYY-MM-DD): young-worker limits apply while the employee is under 18
+addColumnIfMissing('employees', 'birth_date', 'TEXT');
+
+// Individual premium and overtime rates (contrat plus favorable), NULL = CCN rate
+addColumnIfMissing('employees', 'sunday_premium_rate', 'REAL');
+addColumnIfMissing('employees', 'holiday_premium_rate', 'REAL');
+addColumnIfMissing('employees', 'night_premium_rate', 'REAL');
+addColumnIfMissing('employees', 'overtime_first_rate', 'REAL');
+addColumnIfMissing('employees', 'overtime_second_rate', 'REAL');
+
+// Classification in the conventional salary grid ('niveau-échelon', e.g. 'III-2')
+addColumnIfMissing('employees', 'classification', 'TEXT');
+
+// Hire and exit dates (YYYY-MM-DD): seniority and prime d'ancienneté
+addColumnIfMissing('employees', 'hire_date', 'TEXT');
+addColumnIfMissing('employees', 'exit_date', 'TEXT');
+
+// Personal PIN of the time clock (hashed like the passwords)
+addColumnIfMissing('employees', 'pin_hash', 'TEXT');
+
+// Self-service accounts: the employee whose data the account may read
+addColumnIfMissing('users', 'employee_id', 'INTEGER REFERENCES employees(id) ON DELETE CASCADE');
+
 // --- Middleware ---
 app.use(express.json());
 
+// Behind a reverse proxy, req.ip is the client's address only if the proxy is trusted
+// (number of hops or addresses, see Express 'trust proxy')
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // Session middleware (always active for consistency)
 app.use(session({
     secret: crypto.randomBytes(32).toString('hex'),
@@ -71,24 +233,147 @@ app.use(session({
 app.use('/css', express.static(path.join(__dirname, 'public', 'css')));
 app.use('/js', express.static(path.join(__dirname, 'public', 'js')));
 
+// --- Users & roles ---
+// admin: everything; manager: employees and time entries, except salaries and company rules;
+// accountant: read-only access; employee: read-only access to their own record (self-service);
+// kiosk: the shared time clock device, nothing but the punches
+const ROLES = ['admin', 'manager', 'accountant', 'employee', 'kiosk'];
+const STAFF_ROLES = ['admin', 'manager', 'accountant'];
+const USER_ROLES = [...STAFF_ROLES, 'employee'];
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MINUTES = 5;
+
+// Without any user account the app is open and every request acts as an admin
+const LOCAL_USER = { id: null, username: 'local', role: 'admin', must_change_password: 0 };
+
+// Passwords are stored as "scrypt:<salt>:<hash>"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const candidate = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(candidate, expected);
+}
+
+// Check a password or PIN against its hash, counting the failures per key (in memory): after
+// maxFailures in a row the key is locked for lockMinutes. Returns 'ok', 'invalid' or 'locked'
+function checkSecret(failures, key, secret, stored, { maxFailures, lockMinutes }) {
+    const attempts = failures.get(key) || { count: 0, lockedUntil: 0 };
+    if (attempts.lockedUntil > Date.now()) return 'locked';
+    if (stored && verifyPassword(String(secret || ''), stored)) {
+        failures.delete(key);
+        return 'ok';
+    }
+    // Once a lock has expired the count starts over
+    const count = attempts.lockedUntil ? 1 : attempts.count + 1;
+    failures.set(key, {
+        count,
+        lockedUntil: count >= maxFailures ? Date.now() + lockMinutes * 60000 : 0
+    });
+    return 'invalid';
+}
+
+// Failed logins per username (known or not) and client address: guesses from one client
+// do not lock the account out for the others
+const loginFailures = new Map();
+
+function isAuthEnabled() {
+    return stmts.countUsers.get().count > 0;
+}
+
+// User row without its password hash
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        employeeId: user.employee_id ?? null,
+        mustChangePassword: !!user.must_change_password,
+        created_at: user.created_at,
+        updated_at: user.updated_at
+    };
+}
+
+// Signed-in user of a request, null when the session is missing or the account was deleted
+function sessionUser(req) {
+    if (!isAuthEnabled()) return LOCAL_USER;
+    const userId = req.session && req.session.userId;
+    return userId ? stmts.getUser.get(userId) || null : null;
+}
+
+// Roles allowed per API route, first match wins; everything else is a write reserved to
+// admins and managers. The accountant only reads (and may switch the display theme), an
+// employee reads their own days and reports errors (see requireAuth for the ownership check).
+const ROUTE_PERMISSIONS = [
+    { path: /^\/api\/users(\/|$)/, roles: ['admin'] },
+    { method: 'POST', path: /^\/api\/backup$/, roles: ['admin'] },
+    { method: 'PUT', path: /^\/api\/auth\/password$/, roles: ROLES },
+    { method: 'PUT', path: /^\/api\/settings$/, roles: STAFF_ROLES },
+    { path: /^\/api\/clock\/(employees|in|out|break\/(start|end))$/, roles: ['admin', 'manager', 'kiosk'] },
+    { method: 'GET', path: /^\/api\/employees(\/[^/]+\/(entries|context|report|comments|closings))?$/, roles: USER_ROLES },
+    { method: 'GET', path: /^\/api\/(settings|rules)$/, roles: USER_ROLES },
+    { method: 'POST', path: /^\/api\/employees\/[^/]+\/comments$/, roles: ['employee'] },
+    { method: 'GET', path: /^\/api\//, roles: STAFF_ROLES },
+    { path: /^\/api\/rules(\/|$)/, roles: ['admin'] },
+    { method: 'DELETE', path: /^\/api\/employees\/[^/]+$/, roles: ['admin'] },
+    { method: 'POST', path: /^\/api\/closings\/[^/]+\/reopen$/, roles: ['admin'] },
+    { path: /^\/api\//, roles: ['admin', 'manager'] }
+];
+
+function isAllowed(role, method, urlPath) {
+    const rule = ROUTE_PERMISSIONS.find(r => (!r.method || r.method === method) && r.path.test(urlPath));
+    return !rule || rule.roles.includes(role);
+}
+
+// Employee columns that only an admin may change
+const SALARY_COLUMNS = ['gross_monthly_salary', 'sunday_premium_rate', 'holiday_premium_rate', 'night_premium_rate', 'overtime_first_rate', 'overtime_second_rate'];
+
+function changesSalary(values, existing) {
+    return SALARY_COLUMNS.some(column => values[column] !== undefined && values[column] !== (existing ? existing[column] : null));
+}
+
 // --- Auth Routes ---
 app.get('/login', (req, res) => {
-    if (!AUTH_PASSWORD || req.session.authenticated) {
+    if (sessionUser(req)) {
         return res.redirect('/');
     }
     res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
 app.post('/api/auth/login', (req, res) => {
-    if (!AUTH_PASSWORD) {
-        return res.json({ success: true });
-    }
-    const { password } = req.body;
-    if (password === AUTH_PASSWORD) {
-        req.session.authenticated = true;
-        res.json({ success: true });
-    } else {
-        res.status(401).json({ error: 'Mot de passe incorrect' });
+    try {
+        if (!isAuthEnabled()) {
+            return res.json({ success: true });
+        }
+        const { username, password } = req.body;
+        const name = String(username || '').trim();
+        const user = stmts.getUserByName.get(name);
+        const check = checkSecret(loginFailures, `${name.toLowerCase()}|${req.ip}`, password, user && user.password_hash, {
+            maxFailures: LOGIN_MAX_FAILURES, lockMinutes: LOGIN_LOCK_MINUTES
+        });
+        if (check === 'locked') {
+            return res.status(429).json({ error: `Trop d'essais : réessayez dans ${LOGIN_LOCK_MINUTES} minutes` });
+        }
+        if (check !== 'ok') {
+            return res.status(401).json({ error: 'Identifiant ou mot de passe incorrect' });
+        }
+        // A new session id at login, so that an id set before cannot be reused (session fixation)
+        req.session.regenerate((err) => {
+            if (err) {
+                return res.status(500).json({ error: err.message });
+            }
+            req.session.userId = user.id;
+            res.json({ success: true, user: toPublicUser(user) });
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
 });
 
@@ -99,24 +384,42 @@ app.post('/api/auth/logout', (req, res) => {
 });
 
 app.get('/api/auth/status', (req, res) => {
+    const user = sessionUser(req);
     res.json({
-        authEnabled: !!AUTH_PASSWORD,
-        authenticated: !AUTH_PASSWORD || !!req.session.authenticated
+        authEnabled: isAuthEnabled(),
+        authenticated: !!user,
+        user: user ? toPublicUser(user) : null
     });
 });
 
 // --- Auth Middleware ---
 function requireAuth(req, res, next) {
-    // No password configured → no auth needed
-    if (!AUTH_PASSWORD) return next();
-    // Session valid
-    if (req.session && req.session.authenticated) return next();
-    // API calls → 401
-    if (req.path.startsWith('/api/')) {
-        return res.status(401).json({ error: 'Non authentifié' });
+    const user = sessionUser(req);
+    if (!user) {
+        // API calls → 401
+        if (req.path.startsWith('/api/')) {
+            return res.status(401).json({ error: 'Non authentifié' });
+        }
+        // Page requests → redirect to login
+        return res.redirect('/login');
     }
-    // Page requests → redirect to login
-    return res.redirect('/login');
+    req.user = user;
+    // The time clock device stays on the kiosk page
+    if (user.role === 'kiosk' && !req.path.startsWith('/api/') && !['/kiosk', '/kiosk.html'].includes(req.path)) {
+        return res.redirect('/kiosk');
+    }
+    if (req.path.startsWith('/api/') && !isAllowed(user.role, req.method, req.path)) {
+        return res.status(403).json({ error: 'Action non autorisée pour votre rôle' });
+    }
+    const employeeRoute = req.path.match(/^\/api\/employees\/([^/]+)/);
+    if (user.role === 'employee' && employeeRoute && Number(employeeRoute[1]) !== user.employee_id) {
+        return res.status(403).json({ error: 'Accès limité à vos propres données' });
+    }
+    // A reset password must be replaced before anything is written (the kiosk has no account screen)
+    if (user.must_change_password && user.role !== 'kiosk' && req.method !== 'GET' && req.path.startsWith('/api/') && req.path !== '/api/auth/password') {
+        return res.status(403).json({ error: 'Vous devez d\'abord changer votre mot de passe' });
+    }
+    next();
 }
 
 // Protect everything below this point
@@ -143,7 +446,11 @@ const stmts = {
     `),
     updateEmployee: db.prepare(`
         UPDATE employees
-        SET name = ?, gross_monthly_salary = ?, contract_base = ?, updated_at = datetime('now')
+        SET name = ?, gross_monthly_salary = ?, contract_base = ?,
+            work_schedule = ?, cycle_weeks = ?, schedule_anchor = ?, forfait_days = ?, holiday_calendar = ?,
+            birth_date = ?, sunday_premium_rate = ?, holiday_premium_rate = ?, night_premium_rate = ?,
+            overtime_first_rate = ?, overtime_second_rate = ?, classification = ?,
+            hire_date = ?, exit_date = ?, updated_at = datetime('now')
         WHERE id = ?
     `),
     deleteEmployee: db.prepare('DELETE FROM employees WHERE id = ?'),
@@ -154,13 +461,17 @@ const stmts = {
         WHERE employee_id = ? AND date >= ? AND date <= ?
         ORDER BY date
     `),
+    getEntry: db.prepare('SELECT * FROM entries WHERE employee_id = ? AND date = ?'),
+    deleteEntry: db.prepare('DELETE FROM entries WHERE employee_id = ? AND date = ?'),
     upsertEntry: db.prepare(`
-        INSERT INTO entries (employee_id, date, start, end, break_duration)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO entries (employee_id, date, start, end, break_duration, segments, absence)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(employee_id, date) DO UPDATE SET
             start = excluded.start,
             end = excluded.end,
-            break_duration = excluded.break_duration
+            break_duration = excluded.break_duration,
+            segments = excluded.segments,
+            absence = excluded.absence
     `),
     deleteEntriesForPeriod: db.prepare(`
         DELETE FROM entries WHERE employee_id = ? AND date >= ? AND date <= ?
@@ -173,7 +484,106 @@ const stmts = {
         ORDER BY n.date, e.name
     `),
 
+    // Audit trail
+    insertHistory: db.prepare(`
+        INSERT INTO history (entity, entity_key, employee_id, date, action, old_value, new_value, user, revert_of)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    getHistory: db.prepare('SELECT * FROM history WHERE id = ?'),
+    listEmployeeHistory: db.prepare(`
+        SELECT * FROM history
+        WHERE employee_id = ? AND (? IS NULL OR date = ?)
+        ORDER BY id DESC
+        LIMIT 200
+    `),
+
+    // Rule sets (effective-dated conventional rates)
+    listRuleSets: db.prepare('SELECT * FROM rule_sets ORDER BY valid_from'),
+    getRuleSet: db.prepare('SELECT * FROM rule_sets WHERE id = ?'),
+    createRuleSet: db.prepare('INSERT INTO rule_sets (valid_from, valid_to, rules) VALUES (?, ?, ?)'),
+    updateRuleSet: db.prepare(`
+        UPDATE rule_sets SET valid_from = ?, valid_to = ?, rules = ?, updated_at = datetime('now')
+        WHERE id = ?
+    `),
+    deleteRuleSet: db.prepare('DELETE FROM rule_sets WHERE id = ?'),
+
+    // Users
+    countUsers: db.prepare('SELECT COUNT(*) as count FROM users'),
+    countAdmins: db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'admin'"),
+    listUsers: db.prepare('SELECT * FROM users ORDER BY username'),
+    getUser: db.prepare('SELECT * FROM users WHERE id = ?'),
+    getUserByName: db.prepare('SELECT * FROM users WHERE username = ?'),
+    listEmployeeUsers: db.prepare('SELECT * FROM users WHERE employee_id = ?'),
+    createUser: db.prepare('INSERT INTO users (username, password_hash, role, must_change_password, employee_id) VALUES (?, ?, ?, ?, ?)'),
+    updateUser: db.prepare(`
+        UPDATE users SET role = ?, password_hash = ?, must_change_password = ?, employee_id = ?, updated_at = datetime('now')
+        WHERE id = ?
+    `),
+    deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+
+    // Time clock
+    setEmployeePin: db.prepare("UPDATE employees SET pin_hash = ?, updated_at = datetime('now') WHERE id = ?"),
+    listPunches: db.prepare(`
+        SELECT * FROM punches
+        WHERE employee_id = ? AND date >= ? AND date <= ?
+        ORDER BY date, next_day, time, id
+    `),
+    listAllPunches: db.prepare(`
+        SELECT p.*, e.name as employee_name
+        FROM punches p
+        JOIN employees e ON e.id = p.employee_id
+        WHERE p.date >= ? AND p.date <= ?
+        ORDER BY p.date, e.name, p.next_day, p.time, p.id
+    `),
+    getPunch: db.prepare('SELECT * FROM punches WHERE id = ?'),
+    createPunch: db.prepare('INSERT INTO punches (employee_id, date, time, next_day, kind, source) VALUES (?, ?, ?, ?, ?, ?)'),
+    updatePunch: db.prepare('UPDATE punches SET time = ?, next_day = ?, kind = ?, source = ? WHERE id = ?'),
+    deletePunch: db.prepare('DELETE FROM punches WHERE id = ?'),
+
+    // Errors reported by employees
+    listComments: db.prepare(`
+        SELECT * FROM comments
+        WHERE employee_id = ? AND date >= ? AND date <= ?
+        ORDER BY date, id
+    `),
+    listOpenComments: db.prepare(`
+        SELECT c.*, e.name as employee_name
+        FROM comments c
+        JOIN employees e ON e.id = c.employee_id
+        WHERE c.status = 'open'
+        ORDER BY c.created_at
+    `),
+    getComment: db.prepare('SELECT * FROM comments WHERE id = ?'),
+    createComment: db.prepare('INSERT INTO comments (employee_id, date, message, user) VALUES (?, ?, ?, ?)'),
+    resolveComment: db.prepare(`
+        UPDATE comments SET status = 'resolved', resolved_by = ?, resolved_at = datetime('now')
+        WHERE id = ?
+    `),
+
+    // Monthly closings
+    listClosings: db.prepare(`
+        SELECT c.*, e.name as employee_name
+        FROM closings c
+        JOIN employees e ON e.id = c.employee_id
+        WHERE c.month = ?
+        ORDER BY e.name, c.id
+    `),
+    listEmployeeClosings: db.prepare(`
+        SELECT id, month, closed_by, closed_at FROM closings
+        WHERE employee_id = ? AND reopened_at IS NULL
+        ORDER BY month
+    `),
+    getClosing: db.prepare('SELECT * FROM closings WHERE id = ?'),
+    countEmployeeClosings: db.prepare('SELECT COUNT(*) as count FROM closings WHERE employee_id = ?'),
+    getActiveClosing: db.prepare('SELECT * FROM closings WHERE employee_id = ? AND month = ? AND reopened_at IS NULL'),
+    createClosing: db.prepare('INSERT INTO closings (employee_id, month, snapshot, closed_by) VALUES (?, ?, ?, ?)'),
+    reopenClosing: db.prepare(`
+        UPDATE closings SET reopened_by = ?, reopened_at = datetime('now'), reopen_reason = ?
+        WHERE id = ?
+    `),
+
     // Settings
+    listSettings: db.prepare('SELECT * FROM settings'),
     getSetting: db.prepare('SELECT value FROM settings WHERE key = ?'),
     setSetting: db.prepare(`
         INSERT INTO settings (key, value) VALUES (?, ?)
@@ -181,13 +591,530 @@ const stmts = {
     `)
 };
 
+// Settings table as an object (values are stored as JSON)
+function readSettings() {
+    const settings = {};
+    for (const row of stmts.listSettings.all()) {
+        try {
+            settings[row.key] = JSON.parse(row.value);
+        } catch {
+            settings[row.key] = row.value;
+        }
+    }
+    return settings;
+}
+
+// AUTH_PASSWORD of earlier releases becomes the password of an 'admin' account on first start
+if (AUTH_PASSWORD && !isAuthEnabled()) {
+    stmts.createUser.run('admin', hashPassword(AUTH_PASSWORD), 'admin', 0, null);
+}
+
+// Company settings (night premium, ...) apply to the shared engine
+FrenchRules.configure(readSettings());
+
+// Rule sets with their rules parsed, as used by FrenchRules.setRuleSets
+function readRuleSets() {
+    return stmts.listRuleSets.all().map(row => ({ ...row, rules: JSON.parse(row.rules) }));
+}
+
+FrenchRules.setRuleSets(readRuleSets());
+
+// Validate a rule set received from the admin screen; returns an error message or null
+function validateRuleSet({ valid_from, valid_to, rules }, id = null) {
+    const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d);
+    if (!valid_from || !isDate(valid_from)) return 'valid_from est requis (AAAA-MM-JJ)';
+    if (valid_to && (!isDate(valid_to) || valid_to < valid_from)) return 'valid_to doit être postérieure à valid_from';
+    if (!rules || typeof rules !== 'object') return 'rules est requis';
+    const overlaps = stmts.listRuleSets.all().some(set => set.id !== Number(id)
+        && set.valid_from <= (valid_to || '9999-12-31')
+        && valid_from <= (set.valid_to || '9999-12-31'));
+    if (overlaps) return 'Cette période chevauche un autre jeu de règles';
+    if (rules.smicHourlyRate !== undefined && !(typeof rules.smicHourlyRate === 'number' && rules.smicHourlyRate > 0)) {
+        return 'SMIC horaire invalide';
+    }
+    const isPremiumRate = (rate) => typeof rate === 'number' && rate >= 0;
+    if ((rules.sundayPremiumRate !== undefined && !isPremiumRate(rules.sundayPremiumRate))
+        || (rules.holidayPremiumRate !== undefined && !isPremiumRate(rules.holidayPremiumRate))) {
+        return 'Taux de majoration invalide';
+    }
+    if (rules.overtimeBrackets !== undefined) {
+        // Two brackets (25% then 50% by default): the second one starts where the first ends
+        const brackets = rules.overtimeBrackets;
+        const validBracket = (b) => b && typeof b.rate === 'number' && b.rate >= 1 && typeof b.from === 'number';
+        const valid = Array.isArray(brackets) && brackets.length === 2 && brackets.every(validBracket)
+            && typeof brackets[0].to === 'number' && brackets[0].to > brackets[0].from
+            && brackets[1].from === brackets[0].to
+            && (brackets[1].to === null || brackets[1].to === undefined || (typeof brackets[1].to === 'number' && brackets[1].to > brackets[1].from));
+        if (!valid) return 'Tranches d\'heures supplémentaires invalides (deux tranches ordonnées, taux ≥ 1)';
+    }
+    if (rules.contractBases !== undefined) {
+        const bases = rules.contractBases;
+        const valid = bases && typeof bases === 'object' && !Array.isArray(bases)
+            && Object.entries(bases).every(([base, hours]) => Number(base) > 0 && typeof hours === 'number' && hours > 0);
+        if (!valid) return 'Heures mensuelles par contrat invalides';
+    }
+    if (rules.salaryGrid !== undefined) {
+        const validRow = (row) => row && String(row.level || '').trim() && Number.isInteger(row.echelon) && row.echelon > 0
+            && typeof row.minMonthly === 'number' && row.minMonthly > 0;
+        if (!Array.isArray(rules.salaryGrid) || !rules.salaryGrid.every(validRow)) {
+            return 'Grille des salaires invalide (niveau, échelon et minimum mensuel requis)';
+        }
+        const codes = rules.salaryGrid.map(FrenchRules.getClassificationCode);
+        if (new Set(codes).size !== codes.length) return 'Grille des salaires : niveau et échelon en double';
+    }
+    return null;
+}
+
+// Parse the segments JSON column of an entries row
+function withSegments(row) {
+    let segments = null;
+    if (row.segments) {
+        try {
+            segments = JSON.parse(row.segments);
+        } catch {
+            segments = null;
+        }
+    }
+    return { ...row, segments };
+}
+
+// Map a DB row to the entry shape expected by FrenchRules
+function toEngineEntry(row) {
+    const { segments } = withSegments(row);
+    return {
+        date: row.date,
+        start: row.start,
+        end: row.end,
+        breakDuration: row.break_duration,
+        absence: row.absence || null,
+        ...(segments ? { segments } : {})
+    };
+}
+
+// Normalize an entry received from the client into the columns stored in entries
+function toEntryRow(entry) {
+    const absence = entry.absence || null;
+    const segments = Array.isArray(entry.segments)
+        ? entry.segments.map(seg => ({
+            start: seg.start || '',
+            end: seg.end || '',
+            breakDuration: parseInt(seg.breakDuration ?? seg.break_duration) || 0
+        }))
+        : [];
+    if (segments.length > 1) {
+        const summary = FrenchRules.summarizeSegments(segments);
+        return {
+            start: summary.start,
+            end: summary.end,
+            breakDuration: summary.breakDuration,
+            segments: JSON.stringify(segments),
+            absence
+        };
+    }
+    const single = segments[0] || entry;
+    return {
+        start: single.start || '',
+        end: single.end || '',
+        breakDuration: parseInt(single.breakDuration ?? single.break_duration) || 0,
+        segments: null,
+        absence
+    };
+}
+
+// Any weekly contract duration up to the legal maximum (part-time contracts included)
+function isValidContractBase(value) {
+    return typeof value === 'number' && value > 0 && value <= FrenchRules.CONFIG.weeklyMaxHours;
+}
+
+// Working-time arrangement of an employee, as expected by processEntries
+const WORK_SCHEDULES = ['weekly', 'cycle', 'annual', 'forfait'];
+
+function toSchedule(employee) {
+    return {
+        mode: employee.work_schedule || 'weekly',
+        cycleWeeks: employee.cycle_weeks || 4,
+        anchor: employee.schedule_anchor || null,
+        forfaitDays: employee.forfait_days || FrenchRules.CONFIG.forfaitDays
+    };
+}
+
+// Individual rates of an employee: premiums are the majoration (0.5 = +50%),
+// overtime rates the multiplier of the bracket (1.25 = 125%)
+const PREMIUM_COLUMNS = {
+    sunday_premium_rate: 0,
+    holiday_premium_rate: 0,
+    night_premium_rate: 0,
+    overtime_first_rate: 1,
+    overtime_second_rate: 1
+};
+
+function isValidPremiumRate(column, value) {
+    return value === null || (typeof value === 'number' && isFinite(value) && value >= PREMIUM_COLUMNS[column]);
+}
+
+// Premium overrides as expected by processEntries, null when the CCN rates apply
+function toPremiumOverrides(employee) {
+    if (Object.keys(PREMIUM_COLUMNS).every(column => employee[column] === null || employee[column] === undefined)) {
+        return null;
+    }
+    return {
+        sundayPremiumRate: employee.sunday_premium_rate,
+        holidayPremiumRate: employee.holiday_premium_rate,
+        nightPremiumRate: employee.night_premium_rate,
+        overtimeRates: [employee.overtime_first_rate, employee.overtime_second_rate]
+    };
+}
+
+// --- Audit trail ---
+// Editable columns of employees, in the order of the updateEmployee statement
+const EMPLOYEE_COLUMNS = [
+    'name', 'gross_monthly_salary', 'contract_base', 'work_schedule', 'cycle_weeks', 'schedule_anchor',
+    'forfait_days', 'holiday_calendar', 'birth_date', 'sunday_premium_rate', 'holiday_premium_rate',
+    'night_premium_rate', 'overtime_first_rate', 'overtime_second_rate', 'classification', 'hire_date', 'exit_date'
+];
+
+function writeEmployee(id, values) {
+    stmts.updateEmployee.run(...EMPLOYEE_COLUMNS.map(column => values[column] ?? null), id);
+}
+
+function toHistoryEmployee(row) {
+    return row ? Object.fromEntries(EMPLOYEE_COLUMNS.map(column => [column, row[column] ?? null])) : null;
+}
+
+// Stored day as recorded in the history, null when nothing is entered
+function toHistoryEntry(row) {
+    if (!row) return null;
+    const { date, ...entry } = toEngineEntry(row);
+    const empty = !entry.start && !entry.end && !entry.breakDuration && !entry.absence && !entry.segments;
+    return empty ? null : entry;
+}
+
+// Author of a write, as shown in the history panel
+function auditUser(req) {
+    return req.user ? req.user.username : 'local';
+}
+
+// Append a change to the history; unchanged values are not recorded
+function recordHistory(req, { entity, key, employeeId = null, date = null, oldValue = null, newValue = null, revertOf = null }) {
+    const before = oldValue === null ? null : JSON.stringify(oldValue);
+    const after = newValue === null ? null : JSON.stringify(newValue);
+    if (before === after && !revertOf) return;
+    const action = revertOf ? 'revert' : before === null ? 'create' : after === null ? 'delete' : 'update';
+    stmts.insertHistory.run(entity, String(key), employeeId, date, action, before, after, auditUser(req), revertOf);
+}
+
+function withHistoryValues(row) {
+    return {
+        ...row,
+        old_value: row.old_value === null ? null : JSON.parse(row.old_value),
+        new_value: row.new_value === null ? null : JSON.parse(row.new_value)
+    };
+}
+
+// Date helpers (YYYY-MM-DD strings, computed in UTC)
+function isValidDate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) return false;
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+function shiftDate(dateStr, days) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+}
+
+function mondayOf(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7;
+    return shiftDate(dateStr, 1 - dow);
+}
+
+// Monday of the week holding January 1st of the year the week of dateStr starts in
+// (the overtime quota is counted per calendar year, weeks straddling January 1st included)
+function yearStartMonday(dateStr) {
+    return mondayOf(`${mondayOf(dateStr).slice(0, 4)}-01-01`);
+}
+
+// --- Time clock (pointage) ---
+const PUNCH_KINDS = ['in', 'break_start', 'break_end', 'out'];
+const PUNCH_LABELS = { in: 'Entrée', break_start: 'Début de pause', break_end: 'Fin de pause', out: 'Sortie' };
+const CLOCK_TIMEZONE = process.env.CLOCK_TIMEZONE || 'Europe/Paris';
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCK_MINUTES = 5;
+
+// Current date and time (HH:MM) at the company's site
+function clockNow() {
+    const [date, time] = new Intl.DateTimeFormat('sv-SE', {
+        timeZone: CLOCK_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(new Date()).split(' ');
+    return { date, time };
+}
+
+// Shift segments of a day rebuilt from its punches (in order), with the inconsistencies a
+// manager should correct. A shift still open is only reported once the day is over.
+// An exit in the same minute as the entry is left out: the engine would read it as 24h worked.
+function readPunches(punches, dayOver) {
+    const segments = [];
+    const anomalies = [];
+    let current = null;
+    let opening = null;
+    let breakStart = null;
+    for (const punch of punches) {
+        if (punch.kind === 'in') {
+            if (current) anomalies.push(`Entrée de ${current.start} sans sortie`);
+            current = { start: punch.time, end: '', breakDuration: 0 };
+            opening = punch;
+            segments.push(current);
+            breakStart = null;
+        } else if (!current) {
+            anomalies.push(`${PUNCH_LABELS[punch.kind]} de ${punch.time} sans entrée`);
+        } else if (punch.kind === 'break_start') {
+            if (breakStart) anomalies.push(`Pause de ${breakStart} sans fin`);
+            breakStart = punch.time;
+        } else if (punch.kind === 'break_end') {
+            if (!breakStart) {
+                anomalies.push(`Fin de pause de ${punch.time} sans début`);
+            } else {
+                current.breakDuration += (FrenchRules.timeToMinutes(punch.time) - FrenchRules.timeToMinutes(breakStart) + 1440) % 1440;
+                breakStart = null;
+            }
+        } else {
+            if (breakStart) anomalies.push(`Pause de ${breakStart} non terminée avant la sortie`);
+            if (punch.time === opening.time && Number(punch.next_day) === Number(opening.next_day)) {
+                anomalies.push(`Entrée et sortie à ${punch.time} : période non comptée`);
+                segments.pop();
+            } else {
+                current.end = punch.time;
+            }
+            current = null;
+            breakStart = null;
+        }
+    }
+    if (current && dayOver) anomalies.push(`Entrée de ${current.start} sans sortie`);
+    return {
+        segments,
+        anomalies,
+        status: !current ? 'out' : breakStart ? 'break' : 'in'
+    };
+}
+
+// Shift the next punch of an employee belongs to: today's, or yesterday's while a shift
+// started then is still open within the maximum amplitude (24h minus the daily rest)
+function getClockShift(employeeId, now = clockNow()) {
+    const todayPunches = stmts.listPunches.all(employeeId, now.date, now.date);
+    const today = readPunches(todayPunches, false);
+    if (today.status !== 'out' || todayPunches.length > 0) {
+        return { date: now.date, nextDay: 0, status: today.status };
+    }
+    const previousDate = shiftDate(now.date, -1);
+    const previous = readPunches(stmts.listPunches.all(employeeId, previousDate, previousDate), false);
+    const open = previous.segments[previous.segments.length - 1];
+    const amplitude = (24 - FrenchRules.CONFIG.minDailyRestHours) * 60;
+    if (previous.status !== 'out' && FrenchRules.timeToMinutes(now.time) + 1440 - FrenchRules.timeToMinutes(open.start) <= amplitude) {
+        return { date: previousDate, nextDay: 1, status: previous.status };
+    }
+    return { date: now.date, nextDay: 0, status: 'out' };
+}
+
+// Times of a day (start, end, breaks, segments) as stored, null when none is entered
+function storedTimes(row) {
+    return row && (row.start || row.end) ? JSON.stringify([row.start, row.end, row.break_duration, row.segments]) : null;
+}
+
+// Times the punches of a day produce, in the form of storedTimes
+function punchedTimes(punches) {
+    const { segments } = readPunches(punches, true);
+    if (segments.length === 0) return null;
+    const row = toEntryRow({ segments });
+    return storedTimes({ start: row.start, end: row.end, break_duration: row.breakDuration, segments: row.segments });
+}
+
+// Whether the stored times differ from the punches of the day (corrected in the list or grid)
+function isEditedByHand(employeeId, date) {
+    return storedTimes(stmts.getEntry.get(employeeId, date)) !== punchedTimes(stmts.listPunches.all(employeeId, date, date));
+}
+
+// Rewrite the stored times of the day from its punches, keeping a recorded absence; the times
+// are kept as punched, the company rounding rules apply in the calculations like for typed times
+function syncPunchedEntry(req, employeeId, date) {
+    const punches = stmts.listPunches.all(employeeId, date, date);
+    const stored = stmts.getEntry.get(employeeId, date);
+    const before = toHistoryEntry(stored);
+    const absence = stored ? stored.absence : null;
+    const { segments } = readPunches(punches, true);
+    if (segments.length === 0 && !absence) {
+        stmts.deleteEntry.run(employeeId, date);
+    } else {
+        const row = toEntryRow({ segments });
+        stmts.upsertEntry.run(employeeId, date, row.start, row.end, row.breakDuration, row.segments, absence);
+    }
+    recordHistory(req, {
+        entity: 'entry', key: `${employeeId}:${date}`, employeeId, date,
+        oldValue: before, newValue: toHistoryEntry(stmts.getEntry.get(employeeId, date))
+    });
+}
+
+// Punch as recorded in the history
+function toHistoryPunch(row) {
+    return row ? { time: row.time, kind: row.kind, next_day: row.next_day, source: row.source } : null;
+}
+
+function recordPunch(req, before, after) {
+    const punch = after || before;
+    recordHistory(req, {
+        entity: 'punch', key: punch.id, employeeId: punch.employee_id, date: punch.date,
+        oldValue: toHistoryPunch(before), newValue: toHistoryPunch(after)
+    });
+}
+
+// Write a punch change and report it on the day, unless the day was corrected by hand: it is
+// then left as is and the review screen flags it until a manager applies the punches
+function applyPunchChange(req, employeeId, date, change) {
+    return db.transaction(() => {
+        const editedByHand = isEditedByHand(employeeId, date);
+        const result = change();
+        if (!editedByHand) syncPunchedEntry(req, employeeId, date);
+        return result;
+    })();
+}
+
+// Employee row as sent to the browser: the PIN hash stays on the server
+function toPublicEmployee({ pin_hash, ...employee }) {
+    return { ...employee, has_pin: !!pin_hash };
+}
+
+// Failed PIN attempts per employee: the badge is locked for a few minutes
+const pinFailures = new Map();
+
+function checkPin(employee, pin) {
+    return checkSecret(pinFailures, employee.id, pin, employee.pin_hash, {
+        maxFailures: PIN_MAX_FAILURES, lockMinutes: PIN_LOCK_MINUTES
+    });
+}
+
+// Stored data the engine needs beyond the selected period (options of processEntries):
+// - history: the 11 preceding weeks (rolling average), the year to date (overtime quota,
+//   solidarity day) and, for modulation or forfait-jours, the reference period so far
+// - following: the rest of the last week after the end (straddling week)
+// - paidLeave: the previous and current paid-leave reference periods (congés payés)
+function loadEngineContext(employee, start, end = null) {
+    const employeeId = employee.id;
+    const schedule = toSchedule(employee);
+    const weeks = FrenchRules.CONFIG.weeklyAvgWeeks - 1;
+    const rollingStart = shiftDate(mondayOf(start), -7 * weeks);
+    const yearStart = yearStartMonday(start);
+    let historyStart = rollingStart < yearStart ? rollingStart : yearStart;
+    // Journée de solidarité: hours already worked since January 1st
+    const calendarYearStart = `${start.slice(0, 4)}-01-01`;
+    if (calendarYearStart < historyStart) historyStart = calendarYearStart;
+    if (schedule.mode !== 'weekly') {
+        const periodStart = FrenchRules.isForfait(schedule)
+            ? FrenchRules.getForfaitPeriod(start, schedule).start
+            : FrenchRules.getModulationPeriod(start, schedule).start;
+        if (periodStart < historyStart) historyStart = periodStart;
+    }
+    const historyEnd = shiftDate(start, -1);
+
+    const referenceStart = FrenchRules.getLeaveReferenceStart(start);
+    const previousStart = `${Number(referenceStart.slice(0, 4)) - 1}${referenceStart.slice(4)}`;
+    const weekEnd = end ? shiftDate(mondayOf(end), 6) : null;
+    return {
+        history: stmts.getEntries.all(employeeId, historyStart, historyEnd).map(toEngineEntry),
+        following: weekEnd && weekEnd > end
+            ? stmts.getEntries.all(employeeId, shiftDate(end, 1), weekEnd).map(toEngineEntry)
+            : [],
+        period: end ? { start, end } : null,
+        schedule,
+        holidayCalendar: employee.holiday_calendar || 'national',
+        birthDate: employee.birth_date || null,
+        premiumOverrides: toPremiumOverrides(employee),
+        classification: employee.classification || null,
+        hireDate: employee.hire_date || null,
+        exitDate: employee.exit_date || null,
+        paidLeave: {
+            referenceStart,
+            previousPeriod: stmts.getEntries.all(employeeId, previousStart, shiftDate(referenceStart, -1)).map(toEngineEntry),
+            currentPeriod: stmts.getEntries.all(employeeId, referenceStart, historyEnd).map(toEngineEntry)
+        }
+    };
+}
+
+// Report of a period computed server-side with the shared FrenchRules engine
+function computeReport(employee, start, end) {
+    const entries = stmts.getEntries.all(employee.id, start, end).map(toEngineEntry);
+    const hourlyRate = FrenchRules.calculateHourlyRate(employee.gross_monthly_salary, employee.contract_base, start);
+    const context = loadEngineContext(employee, start, end);
+    const results = FrenchRules.processEntries(entries, hourlyRate, employee.contract_base, context);
+    return {
+        employee: {
+            id: employee.id,
+            name: employee.name,
+            gross_monthly_salary: employee.gross_monthly_salary,
+            contract_base: employee.contract_base,
+            work_schedule: employee.work_schedule,
+            forfait_days: employee.forfait_days,
+            holiday_calendar: employee.holiday_calendar,
+            birth_date: employee.birth_date,
+            premium_overrides: toPremiumOverrides(employee),
+            classification: employee.classification,
+            hire_date: employee.hire_date,
+            exit_date: employee.exit_date
+        },
+        period: { start, end },
+        hourlyRate,
+        ...results
+    };
+}
+
+// --- Monthly closing (clôture) ---
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// First and last day of a 'YYYY-MM' month
+function monthBounds(month) {
+    const [y, m] = month.split('-').map(Number);
+    return { start: `${month}-01`, end: new Date(Date.UTC(y, m, 0)).toISOString().split('T')[0] };
+}
+
+function isMonthClosed(employeeId, date) {
+    return !!stmts.getActiveClosing.get(employeeId, String(date || '').slice(0, 7));
+}
+
+function closedMonthError(date) {
+    const [y, m] = String(date).split('-');
+    return `Le mois ${m}/${y} est clôturé : un administrateur doit le rouvrir pour le modifier`;
+}
+
+// Whether an entry received from the client differs from the stored day
+function changesEntry(employeeId, entry) {
+    const row = toEntryRow(entry);
+    const after = toHistoryEntry({ date: entry.date, ...row, break_duration: row.breakDuration });
+    return JSON.stringify(after) !== JSON.stringify(toHistoryEntry(stmts.getEntry.get(employeeId, entry.date)));
+}
+
+// Key figures of a closing for the list, the full report stays in the snapshot
+function toClosingSummary({ snapshot, ...closing }) {
+    const report = JSON.parse(snapshot);
+    return {
+        ...closing,
+        summary: {
+            totalHours: report.totalHours,
+            totalOvertime: report.totalOvertime,
+            totalAbsenceHours: report.totalAbsenceHours,
+            totalPay: report.totalPay ? report.totalPay.total : null
+        }
+    };
+}
+
 // --- API Routes ---
 
 // == Employees ==
 app.get('/api/employees', (req, res) => {
     try {
-        const employees = stmts.listEmployees.all();
-        res.json(employees);
+        const employees = stmts.listEmployees.all().map(toPublicEmployee);
+        // A self-service account only sees its own record
+        res.json(req.user.role === 'employee' ? employees.filter(e => e.id === req.user.employee_id) : employees);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -199,16 +1126,24 @@ app.post('/api/employees', (req, res) => {
         if (!name || !name.trim()) {
             return res.status(400).json({ error: 'Le nom est requis' });
         }
+        if (!isValidContractBase(contract_base)) {
+            return res.status(400).json({ error: 'Base contrat invalide (durée hebdomadaire, 48h maximum)' });
+        }
+
+        if (req.user.role !== 'admin' && gross_monthly_salary) {
+            return res.status(403).json({ error: 'Seul un administrateur peut modifier les salaires' });
+        }
 
         // Check if already exists
         const existing = stmts.getEmployeeByName.get(name.trim());
         if (existing) {
-            return res.status(409).json({ error: 'Un employé avec ce nom existe déjà', employee: existing });
+            return res.status(409).json({ error: 'Un employé avec ce nom existe déjà', employee: toPublicEmployee(existing) });
         }
 
         const result = stmts.createEmployee.run(name.trim(), gross_monthly_salary, contract_base);
         const employee = stmts.getEmployee.get(result.lastInsertRowid);
-        res.status(201).json(employee);
+        recordHistory(req, { entity: 'employee', key: employee.id, employeeId: employee.id, newValue: toHistoryEmployee(employee) });
+        res.status(201).json(toPublicEmployee(employee));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -217,22 +1152,84 @@ app.post('/api/employees', (req, res) => {
 app.put('/api/employees/:id', (req, res) => {
     try {
         const { id } = req.params;
-        const { name, gross_monthly_salary, contract_base } = req.body;
+        const {
+            name, gross_monthly_salary, contract_base,
+            work_schedule, cycle_weeks, schedule_anchor, forfait_days, holiday_calendar, birth_date,
+            classification, hire_date, exit_date
+        } = req.body;
 
         const existing = stmts.getEmployee.get(id);
         if (!existing) {
             return res.status(404).json({ error: 'Employé non trouvé' });
         }
+        if (req.user.role !== 'admin' && changesSalary(req.body, existing)) {
+            return res.status(403).json({ error: 'Seul un administrateur peut modifier les salaires' });
+        }
+        if (contract_base !== undefined && !isValidContractBase(contract_base)) {
+            return res.status(400).json({ error: 'Base contrat invalide (durée hebdomadaire, 48h maximum)' });
+        }
+        if (work_schedule !== undefined && !WORK_SCHEDULES.includes(work_schedule)) {
+            return res.status(400).json({ error: 'Aménagement du temps de travail invalide' });
+        }
+        if (cycle_weeks !== undefined && !(Number.isInteger(cycle_weeks) && cycle_weeks >= 1)) {
+            return res.status(400).json({ error: 'Nombre de semaines du cycle invalide' });
+        }
+        if (schedule_anchor && !isValidDate(schedule_anchor)) {
+            return res.status(400).json({ error: 'Date de début du cycle invalide (YYYY-MM-DD)' });
+        }
+        if (forfait_days !== undefined && !(Number.isInteger(forfait_days) && forfait_days > 0 && forfait_days <= FrenchRules.CONFIG.forfaitMaxDays)) {
+            return res.status(400).json({ error: `Nombre de jours du forfait invalide (${FrenchRules.CONFIG.forfaitMaxDays} maximum)` });
+        }
+        if (holiday_calendar !== undefined && !FrenchRules.HOLIDAY_CALENDARS[holiday_calendar]) {
+            return res.status(400).json({ error: 'Calendrier des jours fériés inconnu' });
+        }
+        if (birth_date && !isValidDate(birth_date)) {
+            return res.status(400).json({ error: 'Date de naissance invalide (YYYY-MM-DD)' });
+        }
+        for (const column of Object.keys(PREMIUM_COLUMNS)) {
+            if (req.body[column] !== undefined && !isValidPremiumRate(column, req.body[column])) {
+                return res.status(400).json({ error: 'Taux de majoration individuel invalide' });
+            }
+        }
+        if ((hire_date && !isValidDate(hire_date)) || (exit_date && !isValidDate(exit_date))) {
+            return res.status(400).json({ error: 'Date d\'embauche ou de sortie invalide (YYYY-MM-DD)' });
+        }
+        const hireDate = hire_date !== undefined ? (hire_date || null) : existing.hire_date;
+        const exitDate = exit_date !== undefined ? (exit_date || null) : existing.exit_date;
+        if (hireDate && exitDate && exitDate < hireDate) {
+            return res.status(400).json({ error: 'La date de sortie doit être postérieure à la date d\'embauche' });
+        }
+        if (classification && !/^[^-\s]+-\d+$/.test(classification)) {
+            return res.status(400).json({ error: 'Classification invalide (niveau-échelon, ex. III-2)' });
+        }
+        const rate = (column) => req.body[column] !== undefined ? req.body[column] : existing[column];
 
-        stmts.updateEmployee.run(
-            name ?? existing.name,
-            gross_monthly_salary ?? existing.gross_monthly_salary,
-            contract_base ?? existing.contract_base,
-            id
-        );
+        writeEmployee(id, {
+            name: name ?? existing.name,
+            gross_monthly_salary: gross_monthly_salary ?? existing.gross_monthly_salary,
+            contract_base: contract_base ?? existing.contract_base,
+            work_schedule: work_schedule ?? existing.work_schedule,
+            cycle_weeks: cycle_weeks ?? existing.cycle_weeks,
+            schedule_anchor: schedule_anchor !== undefined ? (schedule_anchor || null) : existing.schedule_anchor,
+            forfait_days: forfait_days ?? existing.forfait_days,
+            holiday_calendar: holiday_calendar ?? existing.holiday_calendar,
+            birth_date: birth_date !== undefined ? (birth_date || null) : existing.birth_date,
+            sunday_premium_rate: rate('sunday_premium_rate'),
+            holiday_premium_rate: rate('holiday_premium_rate'),
+            night_premium_rate: rate('night_premium_rate'),
+            overtime_first_rate: rate('overtime_first_rate'),
+            overtime_second_rate: rate('overtime_second_rate'),
+            classification: classification !== undefined ? (classification || null) : existing.classification,
+            hire_date: hireDate,
+            exit_date: exitDate
+        });
 
         const employee = stmts.getEmployee.get(id);
-        res.json(employee);
+        recordHistory(req, {
+            entity: 'employee', key: employee.id, employeeId: employee.id,
+            oldValue: toHistoryEmployee(existing), newValue: toHistoryEmployee(employee)
+        });
+        res.json(toPublicEmployee(employee));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -245,7 +1242,23 @@ app.delete('/api/employees/:id', (req, res) => {
         if (!existing) {
             return res.status(404).json({ error: 'Employé non trouvé' });
         }
-        stmts.deleteEmployee.run(id);
+        // The snapshots of the closed months are the payroll record: they must not go with the employee
+        if (stmts.countEmployeeClosings.get(existing.id).count > 0) {
+            return res.status(409).json({ error: 'Cet employé a des mois clôturés : renseignez sa date de sortie plutôt que de le supprimer' });
+        }
+        // The entries and the employee's account go with the employee (ON DELETE CASCADE):
+        // each stored day and the account are recorded
+        const removeEmployee = db.transaction(() => {
+            for (const row of stmts.getEntries.all(id, '0000-01-01', '9999-12-31')) {
+                recordHistory(req, { entity: 'entry', key: `${existing.id}:${row.date}`, employeeId: existing.id, date: row.date, oldValue: toHistoryEntry(row) });
+            }
+            for (const user of stmts.listEmployeeUsers.all(existing.id)) {
+                recordHistory(req, { entity: 'user', key: user.id, oldValue: { username: user.username, role: user.role, employee_id: user.employee_id } });
+            }
+            recordHistory(req, { entity: 'employee', key: existing.id, employeeId: existing.id, oldValue: toHistoryEmployee(existing) });
+            stmts.deleteEmployee.run(id);
+        });
+        removeEmployee();
         res.json({ success: true, deleted: existing.name });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -260,7 +1273,7 @@ app.get('/api/employees/:id/entries', (req, res) => {
         if (!start || !end) {
             return res.status(400).json({ error: 'start et end sont requis' });
         }
-        const entries = stmts.getEntries.all(id, start, end);
+        const entries = stmts.getEntries.all(id, start, end).map(withSegments);
         res.json(entries);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -281,15 +1294,21 @@ app.put('/api/employees/:id/entries', (req, res) => {
             return res.status(404).json({ error: 'Employé non trouvé' });
         }
 
+        // The browser sends back the unchanged days of a closed month with the others
+        const locked = entries.find(entry => isMonthClosed(existing.id, entry.date) && changesEntry(existing.id, entry));
+        if (locked) {
+            return res.status(409).json({ error: closedMonthError(locked.date) });
+        }
+
         const upsertMany = db.transaction((items) => {
             for (const entry of items) {
-                stmts.upsertEntry.run(
-                    id,
-                    entry.date,
-                    entry.start || '',
-                    entry.end || '',
-                    entry.breakDuration || entry.break_duration || 0
-                );
+                const row = toEntryRow(entry);
+                const before = toHistoryEntry(stmts.getEntry.get(id, entry.date));
+                stmts.upsertEntry.run(id, entry.date, row.start, row.end, row.breakDuration, row.segments, row.absence);
+                recordHistory(req, {
+                    entity: 'entry', key: `${existing.id}:${entry.date}`, employeeId: existing.id, date: entry.date,
+                    oldValue: before, newValue: toHistoryEntry(stmts.getEntry.get(id, entry.date))
+                });
             }
         });
 
@@ -300,47 +1319,824 @@ app.put('/api/employees/:id/entries', (req, res) => {
     }
 });
 
-// == All entries (merged view) ==
-app.get('/api/entries/all', (req, res) => {
+// == History (audit trail) ==
+// Changes of an employee record and of its days, most recent first; ?date= keeps one day
+app.get('/api/employees/:id/history', (req, res) => {
     try {
-        const { start, end } = req.query;
-        if (!start || !end) {
-            return res.status(400).json({ error: 'start et end sont requis' });
+        const { id } = req.params;
+        const date = req.query.date || null;
+        res.json(stmts.listEmployeeHistory.all(id, date, date).map(withHistoryValues));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Restore the value a change replaced; the revert is itself recorded
+app.post('/api/history/:id/revert', (req, res) => {
+    try {
+        const change = stmts.getHistory.get(req.params.id);
+        if (!change) {
+            return res.status(404).json({ error: 'Modification non trouvée' });
+        }
+        const { old_value: oldValue } = withHistoryValues(change);
+        const employee = stmts.getEmployee.get(change.employee_id);
+
+        if (change.entity === 'entry') {
+            if (!employee) {
+                return res.status(404).json({ error: 'Employé non trouvé' });
+            }
+            if (isMonthClosed(employee.id, change.date)) {
+                return res.status(409).json({ error: closedMonthError(change.date) });
+            }
+            const revertEntry = db.transaction(() => {
+                const before = toHistoryEntry(stmts.getEntry.get(employee.id, change.date));
+                if (oldValue) {
+                    const row = toEntryRow(oldValue);
+                    stmts.upsertEntry.run(employee.id, change.date, row.start, row.end, row.breakDuration, row.segments, row.absence);
+                } else {
+                    stmts.deleteEntry.run(employee.id, change.date);
+                }
+                recordHistory(req, {
+                    entity: 'entry', key: change.entity_key, employeeId: employee.id, date: change.date,
+                    oldValue: before, newValue: toHistoryEntry(stmts.getEntry.get(employee.id, change.date)), revertOf: change.id
+                });
+            });
+            revertEntry();
+            return res.json({ success: true });
+        }
+
+        if (change.entity === 'employee' && change.action !== 'create' && change.action !== 'delete') {
+            if (!employee) {
+                return res.status(404).json({ error: 'Employé non trouvé' });
+            }
+            if (req.user.role !== 'admin' && changesSalary(oldValue, employee)) {
+                return res.status(403).json({ error: 'Seul un administrateur peut modifier les salaires' });
+            }
+            const conflict = stmts.getEmployeeByName.get(oldValue.name);
+            if (conflict && conflict.id !== employee.id) {
+                return res.status(409).json({ error: 'Un employé avec ce nom existe déjà' });
+            }
+            writeEmployee(employee.id, oldValue);
+            recordHistory(req, {
+                entity: 'employee', key: employee.id, employeeId: employee.id,
+                oldValue: toHistoryEmployee(employee), newValue: toHistoryEmployee(stmts.getEmployee.get(employee.id)), revertOf: change.id
+            });
+            return res.json({ success: true, employee: toPublicEmployee(stmts.getEmployee.get(employee.id)) });
+        }
+
+        res.status(400).json({ error: 'Seules les modifications des saisies et des fiches employés peuvent être annulées' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == Comments (errors reported by employees on their days) ==
+app.get('/api/employees/:id/comments', (req, res) => {
+    try {
+        const { start = '0000-01-01', end = '9999-12-31' } = req.query;
+        res.json(stmts.listComments.all(req.params.id, start, end));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/employees/:id/comments', (req, res) => {
+    try {
+        const employee = stmts.getEmployee.get(req.params.id);
+        if (!employee) {
+            return res.status(404).json({ error: 'Employé non trouvé' });
+        }
+        const { date, message } = req.body;
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'Date invalide (YYYY-MM-DD)' });
+        }
+        const text = String(message || '').trim();
+        if (!text || text.length > 1000) {
+            return res.status(400).json({ error: 'Le message est requis (1000 caractères maximum)' });
+        }
+        const result = stmts.createComment.run(employee.id, date, text, auditUser(req));
+        const comment = stmts.getComment.get(result.lastInsertRowid);
+        recordHistory(req, {
+            entity: 'comment', key: comment.id, employeeId: employee.id, date,
+            newValue: { message: comment.message, status: comment.status }
+        });
+        res.status(201).json(comment);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Open reports of every employee, for the managers
+app.get('/api/comments', (req, res) => {
+    try {
+        res.json(stmts.listOpenComments.all());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/comments/:id/resolve', (req, res) => {
+    try {
+        const comment = stmts.getComment.get(req.params.id);
+        if (!comment) {
+            return res.status(404).json({ error: 'Signalement non trouvé' });
+        }
+        stmts.resolveComment.run(auditUser(req), comment.id);
+        recordHistory(req, {
+            entity: 'comment', key: comment.id, employeeId: comment.employee_id, date: comment.date,
+            oldValue: { message: comment.message, status: comment.status },
+            newValue: { message: comment.message, status: 'resolved' }
+        });
+        res.json(stmts.getComment.get(comment.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == Time clock (kiosk punches and their review) ==
+// Valid transitions of the kiosk: action → punch kind and the status it starts from
+const CLOCK_ACTIONS = {
+    'in': { kind: 'in', from: 'out' },
+    'break/start': { kind: 'break_start', from: 'in' },
+    'break/end': { kind: 'break_end', from: 'break' },
+    'out': { kind: 'out', from: 'in' }
+};
+const CLOCK_STATUS_ERRORS = {
+    out: 'Vous n\'êtes pas pointé(e) en entrée',
+    in: 'Vous êtes déjà pointé(e) en entrée',
+    break: 'Vous êtes en pause : terminez-la d\'abord'
+};
+
+// Employees with a PIN still under contract, with their current status
+app.get('/api/clock/employees', (req, res) => {
+    try {
+        const now = clockNow();
+        const employees = stmts.listEmployees.all()
+            .filter(e => e.pin_hash && !(e.exit_date && e.exit_date < now.date))
+            .map(e => ({ id: e.id, name: e.name, status: getClockShift(e.id, now).status }));
+        res.json(employees);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+for (const [action, { kind, from }] of Object.entries(CLOCK_ACTIONS)) {
+    app.post(`/api/clock/${action}`, (req, res) => {
+        try {
+            const employee = stmts.getEmployee.get(req.body.employee_id);
+            if (!employee) {
+                return res.status(404).json({ error: 'Employé non trouvé' });
+            }
+            if (!employee.pin_hash) {
+                return res.status(400).json({ error: 'Aucun code de pointage défini pour cet employé' });
+            }
+            const pin = checkPin(employee, req.body.pin);
+            if (pin === 'locked') {
+                return res.status(429).json({ error: `Trop d'essais : réessayez dans ${PIN_LOCK_MINUTES} minutes` });
+            }
+            if (pin !== 'ok') {
+                return res.status(403).json({ error: 'Code incorrect' });
+            }
+            // The punch is the employee's own, authenticated by the PIN
+            req.user = { ...req.user, username: `${employee.name} (pointage)` };
+            const now = clockNow();
+            const shift = getClockShift(employee.id, now);
+            if (shift.status !== from) {
+                return res.status(409).json({ error: CLOCK_STATUS_ERRORS[shift.status] });
+            }
+            if (isMonthClosed(employee.id, shift.date)) {
+                return res.status(409).json({ error: closedMonthError(shift.date) });
+            }
+            applyPunchChange(req, employee.id, shift.date, () => {
+                const result = stmts.createPunch.run(employee.id, shift.date, now.time, shift.nextDay, kind, 'kiosk');
+                recordPunch(req, null, stmts.getPunch.get(result.lastInsertRowid));
+            });
+            res.json({
+                success: true,
+                employee: employee.name,
+                kind,
+                label: PUNCH_LABELS[kind],
+                time: now.time,
+                status: getClockShift(employee.id, now).status
+            });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+}
+
+// Punched days of the period, every employee, with their anomalies (manager review)
+app.get('/api/clock/punches', (req, res) => {
+    try {
+        const { start, end } = req.query;
+        if (!start || !end) {
+            return res.status(400).json({ error: 'start et end sont requis (YYYY-MM-DD)' });
+        }
+        const today = clockNow().date;
+        const days = new Map();
+        for (const punch of stmts.listAllPunches.all(start, end)) {
+            const key = `${punch.employee_id}:${punch.date}`;
+            if (!days.has(key)) {
+                days.set(key, { employee_id: punch.employee_id, employee_name: punch.employee_name, date: punch.date, punches: [] });
+            }
+            const { employee_name, ...row } = punch;
+            days.get(key).punches.push(row);
+        }
+        res.json([...days.values()].map(day => {
+            const { segments, anomalies } = readPunches(day.punches, day.date < today);
+            const editedByHand = isEditedByHand(day.employee_id, day.date);
+            if (editedByHand) anomalies.push('Saisie du jour modifiée à la main : les pointages n\'y sont pas reportés');
+            return { ...day, segments, anomalies, edited_by_hand: editedByHand };
+        }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+function isValidPunch({ kind, time, date }) {
+    return PUNCH_KINDS.includes(kind) && /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '') && /^\d{4}-\d{2}-\d{2}$/.test(date || '');
+}
+
+app.post('/api/clock/punches', (req, res) => {
+    try {
+        const { employee_id, date, time, kind, next_day } = req.body;
+        if (!stmts.getEmployee.get(employee_id)) {
+            return res.status(404).json({ error: 'Employé non trouvé' });
+        }
+        if (!isValidPunch({ kind, time, date })) {
+            return res.status(400).json({ error: 'Pointage invalide (type, date et heure HH:MM requis)' });
+        }
+        if (isMonthClosed(employee_id, date)) {
+            return res.status(409).json({ error: closedMonthError(date) });
+        }
+        const punch = applyPunchChange(req, employee_id, date, () => {
+            const result = stmts.createPunch.run(employee_id, date, time, next_day ? 1 : 0, kind, 'manager');
+            const created = stmts.getPunch.get(result.lastInsertRowid);
+            recordPunch(req, null, created);
+            return created;
+        });
+        res.status(201).json(punch);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/clock/punches/:id', (req, res) => {
+    try {
+        const existing = stmts.getPunch.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Pointage non trouvé' });
+        }
+        const { time = existing.time, kind = existing.kind, next_day = existing.next_day } = req.body;
+        if (!isValidPunch({ kind, time, date: existing.date })) {
+            return res.status(400).json({ error: 'Pointage invalide (type, date et heure HH:MM requis)' });
+        }
+        if (isMonthClosed(existing.employee_id, existing.date)) {
+            return res.status(409).json({ error: closedMonthError(existing.date) });
+        }
+        applyPunchChange(req, existing.employee_id, existing.date, () => {
+            stmts.updatePunch.run(time, next_day ? 1 : 0, kind, 'manager', existing.id);
+            recordPunch(req, existing, stmts.getPunch.get(existing.id));
+        });
+        res.json(stmts.getPunch.get(existing.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/clock/punches/:id', (req, res) => {
+    try {
+        const existing = stmts.getPunch.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Pointage non trouvé' });
+        }
+        if (isMonthClosed(existing.employee_id, existing.date)) {
+            return res.status(409).json({ error: closedMonthError(existing.date) });
+        }
+        applyPunchChange(req, existing.employee_id, existing.date, () => {
+            stmts.deletePunch.run(existing.id);
+            recordPunch(req, existing, null);
+        });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Replace the times of a day corrected by hand with its punches (absence kept)
+app.post('/api/clock/punches/apply', (req, res) => {
+    try {
+        const { employee_id, date } = req.body;
+        if (!stmts.getEmployee.get(employee_id)) {
+            return res.status(404).json({ error: 'Employé non trouvé' });
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            return res.status(400).json({ error: 'Date invalide (YYYY-MM-DD)' });
+        }
+        if (isMonthClosed(employee_id, date)) {
+            return res.status(409).json({ error: closedMonthError(date) });
         }
-        const entries = stmts.getAllEntries.all(start, end);
+        db.transaction(() => syncPunchedEntry(req, employee_id, date))();
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PIN of the kiosk, null to remove it
+app.put('/api/employees/:id/pin', (req, res) => {
+    try {
+        const employee = stmts.getEmployee.get(req.params.id);
+        if (!employee) {
+            return res.status(404).json({ error: 'Employé non trouvé' });
+        }
+        const { pin } = req.body;
+        if (pin !== null && !/^\d{4,8}$/.test(String(pin))) {
+            return res.status(400).json({ error: 'Le code de pointage doit comporter 4 à 8 chiffres' });
+        }
+        const setPin = db.transaction(() => {
+            stmts.setEmployeePin.run(pin === null ? null : hashPassword(String(pin)), employee.id);
+            recordHistory(req, {
+                entity: 'pin', key: employee.id, employeeId: employee.id,
+                oldValue: { has_pin: !!employee.pin_hash, pinChanged: false },
+                newValue: { has_pin: pin !== null, pinChanged: true }
+            });
+        });
+        setPin();
+        pinFailures.delete(employee.id);
+        res.json({ success: true, has_pin: pin !== null });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == Engine context (history loaded for the browser-side computation) ==
+app.get('/api/employees/:id/context', (req, res) => {
+    try {
+        const { id } = req.params;
+        const { start, end } = req.query;
+        if (!isValidDate(start) || (end && !isValidDate(end))) {
+            return res.status(400).json({ error: 'start est requis, end est facultatif (YYYY-MM-DD)' });
+        }
+        if (end && start > end) {
+            return res.status(400).json({ error: 'La date de début doit précéder la date de fin' });
+        }
+        const employee = stmts.getEmployee.get(id);
+        if (!employee) {
+            return res.status(404).json({ error: 'Employé non trouvé' });
+        }
+        res.json(loadEngineContext(employee, start, end || null));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == Report (computed server-side with the shared FrenchRules engine) ==
+app.get('/api/employees/:id/report', (req, res) => {
+    try {
+        const { id } = req.params;
+        const { start, end } = req.query;
+        if (!isValidDate(start) || !isValidDate(end)) {
+            return res.status(400).json({ error: 'start et end sont requis (YYYY-MM-DD)' });
+        }
+        if (start > end) {
+            return res.status(400).json({ error: 'La date de début doit précéder la date de fin' });
+        }
+
+        const employee = stmts.getEmployee.get(id);
+        if (!employee) {
+            return res.status(404).json({ error: 'Employé non trouvé' });
+        }
+
+        res.json(computeReport(employee, start, end));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == Monthly closing (clôture) ==
+// Closings of a month, reopened ones included, with the key figures of their snapshot
+app.get('/api/closings', (req, res) => {
+    try {
+        const { month } = req.query;
+        if (!MONTH_PATTERN.test(month || '')) {
+            return res.status(400).json({ error: 'Mois invalide (YYYY-MM)' });
+        }
+        res.json(stmts.listClosings.all(month).map(toClosingSummary));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/closings/:id', (req, res) => {
+    try {
+        const closing = stmts.getClosing.get(req.params.id);
+        if (!closing) {
+            return res.status(404).json({ error: 'Clôture non trouvée' });
+        }
+        res.json({ ...closing, snapshot: JSON.parse(closing.snapshot) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Months currently closed for an employee (read-only days)
+app.get('/api/employees/:id/closings', (req, res) => {
+    try {
+        res.json(stmts.listEmployeeClosings.all(req.params.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Close a month for one employee, or for every employee under contract that month; the
+// report of the month is stored as computed at that time
+app.post('/api/closings', (req, res) => {
+    try {
+        const { month, employee_id } = req.body;
+        if (!MONTH_PATTERN.test(month || '')) {
+            return res.status(400).json({ error: 'Mois invalide (YYYY-MM)' });
+        }
+        if (month > clockNow().date.slice(0, 7)) {
+            return res.status(400).json({ error: 'Un mois à venir ne peut pas être clôturé' });
+        }
+        const { start, end } = monthBounds(month);
+        let employees;
+        if (employee_id) {
+            const employee = stmts.getEmployee.get(employee_id);
+            if (!employee) {
+                return res.status(404).json({ error: 'Employé non trouvé' });
+            }
+            if (stmts.getActiveClosing.get(employee.id, month)) {
+                return res.status(409).json({ error: 'Ce mois est déjà clôturé pour cet employé' });
+            }
+            employees = [employee];
+        } else {
+            employees = stmts.listEmployees.all().filter(e =>
+                !(e.hire_date && e.hire_date > end) && !(e.exit_date && e.exit_date < start) &&
+                !stmts.getActiveClosing.get(e.id, month));
+            if (employees.length === 0) {
+                return res.status(409).json({ error: 'Ce mois est déjà clôturé pour tous les employés' });
+            }
+        }
+        // A week whose complementary hours exceed a third of the contract must be corrected first
+        const reports = employees.map(employee => computeReport(employee, start, end));
+        const blocked = reports.flatMap(report => report.weeklyResults
+            .filter(week => week.warnings.some(w => w.blocking))
+            .map(week => `${report.employee.name} (${week.week})`));
+        if (blocked.length > 0) {
+            return res.status(409).json({
+                error: `Clôture impossible : heures complémentaires au-delà du tiers de la durée contractuelle pour ${blocked.join(', ')}`
+            });
+        }
+        const closeMonth = db.transaction(() => employees.map((employee, i) => {
+            const result = stmts.createClosing.run(employee.id, month, JSON.stringify(reports[i]), auditUser(req));
+            recordHistory(req, {
+                entity: 'closing', key: result.lastInsertRowid, employeeId: employee.id,
+                newValue: { month, status: 'closed' }
+            });
+            return toClosingSummary(stmts.getClosing.get(result.lastInsertRowid));
+        }));
+        res.status(201).json(closeMonth());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Reopen a closed month (admin only); the closing and its snapshot are kept with the reason
+app.post('/api/closings/:id/reopen', (req, res) => {
+    try {
+        const closing = stmts.getClosing.get(req.params.id);
+        if (!closing) {
+            return res.status(404).json({ error: 'Clôture non trouvée' });
+        }
+        if (closing.reopened_at) {
+            return res.status(409).json({ error: 'Cette clôture a déjà été rouverte' });
+        }
+        const reason = String(req.body.reason || '').trim();
+        if (!reason || reason.length > 500) {
+            return res.status(400).json({ error: 'Le motif de réouverture est requis (500 caractères maximum)' });
+        }
+        const reopen = db.transaction(() => {
+            stmts.reopenClosing.run(auditUser(req), reason, closing.id);
+            recordHistory(req, {
+                entity: 'closing', key: closing.id, employeeId: closing.employee_id,
+                oldValue: { month: closing.month, status: 'closed' },
+                newValue: { month: closing.month, status: 'reopened', reason }
+            });
+        });
+        reopen();
+        res.json(toClosingSummary(stmts.getClosing.get(closing.id)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == All entries (merged view) ==
+app.get('/api/entries/all', (req, res) => {
+    try {
+        const { start, end } = req.query;
+        if (!start || !end) {
+            return res.status(400).json({ error: 'start et end sont requis' });
+        }
+        const entries = stmts.getAllEntries.all(start, end).map(withSegments);
         res.json(entries);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// == Rule sets ==
+app.get('/api/rules', (req, res) => {
+    try {
+        res.json(readRuleSets());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/rules', (req, res) => {
+    try {
+        const error = validateRuleSet(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { valid_from, valid_to = null, rules } = req.body;
+        const createSet = db.transaction(() => {
+            const result = stmts.createRuleSet.run(valid_from, valid_to || null, JSON.stringify(rules));
+            const set = stmts.getRuleSet.get(result.lastInsertRowid);
+            recordHistory(req, { entity: 'rule_set', key: set.id, newValue: { valid_from, valid_to: valid_to || null, rules } });
+            return set;
+        });
+        const set = createSet();
+        // The engine is reloaded once committed, so that a rolled-back write never reaches it
+        FrenchRules.setRuleSets(readRuleSets());
+        res.status(201).json({ ...set, rules: JSON.parse(set.rules) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/rules/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = stmts.getRuleSet.get(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Jeu de règles non trouvé' });
+        }
+        const error = validateRuleSet(req.body, id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { valid_from, valid_to = null, rules } = req.body;
+        const updateSet = db.transaction(() => {
+            stmts.updateRuleSet.run(valid_from, valid_to || null, JSON.stringify(rules), id);
+            recordHistory(req, {
+                entity: 'rule_set', key: id,
+                oldValue: { valid_from: existing.valid_from, valid_to: existing.valid_to, rules: JSON.parse(existing.rules) },
+                newValue: { valid_from, valid_to: valid_to || null, rules }
+            });
+        });
+        updateSet();
+        FrenchRules.setRuleSets(readRuleSets());
+        const set = stmts.getRuleSet.get(id);
+        res.json({ ...set, rules: JSON.parse(set.rules) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/rules/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = stmts.getRuleSet.get(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Jeu de règles non trouvé' });
+        }
+        const deleteSet = db.transaction(() => {
+            stmts.deleteRuleSet.run(id);
+            recordHistory(req, {
+                entity: 'rule_set', key: id,
+                oldValue: { valid_from: existing.valid_from, valid_to: existing.valid_to, rules: JSON.parse(existing.rules) }
+            });
+        });
+        deleteSet();
+        FrenchRules.setRuleSets(readRuleSets());
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // == Settings ==
 app.get('/api/settings', (req, res) => {
     try {
-        const rows = db.prepare('SELECT * FROM settings').all();
-        const settings = {};
-        for (const row of rows) {
-            try {
-                settings[row.key] = JSON.parse(row.value);
-            } catch {
-                settings[row.key] = row.value;
-            }
-        }
-        res.json(settings);
+        res.json(readSettings());
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// Solidarity day of each year: { YYYY: { mode: 'pentecost' | 'date' | 'split', date, slots } },
+// dates within their year; returns an error message or null
+function validateSolidarityDays(solidarityDays) {
+    if (!solidarityDays || typeof solidarityDays !== 'object' || Array.isArray(solidarityDays)) {
+        return 'Journées de solidarité invalides';
+    }
+    const inYear = (year, date) => isValidDate(date) && date.startsWith(`${year}-`);
+    for (const [year, setting] of Object.entries(solidarityDays)) {
+        if (!/^\d{4}$/.test(year) || !setting || typeof setting !== 'object') {
+            return 'Journées de solidarité invalides';
+        }
+        if (setting.mode === 'date' && !inYear(year, setting.date)) {
+            return `Date de la journée de solidarité ${year} invalide (YYYY-MM-DD de l'année)`;
+        }
+        if (setting.mode === 'split' && !(Array.isArray(setting.slots) && setting.slots.length > 0 &&
+            setting.slots.every(slot => slot && inYear(year, slot.date) && typeof slot.hours === 'number' && slot.hours > 0))) {
+            return `Fractionnement de la journée de solidarité ${year} invalide (dates de l'année, heures > 0)`;
+        }
+        if (!['pentecost', 'date', 'split'].includes(setting.mode)) {
+            return `Mode de la journée de solidarité ${year} inconnu`;
+        }
+    }
+    return null;
+}
+
 app.put('/api/settings', (req, res) => {
     try {
         const updates = req.body;
+        // Company settings are reserved to admins, the display theme is everyone's
+        if (req.user.role !== 'admin' && Object.keys(updates).some(key => key !== 'theme')) {
+            return res.status(403).json({ error: 'Seul un administrateur peut modifier les paramètres' });
+        }
+        if ('solidarityDays' in updates) {
+            const error = validateSolidarityDays(updates.solidarityDays);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
         const updateMany = db.transaction((items) => {
             for (const [key, value] of Object.entries(items)) {
+                const previous = stmts.getSetting.get(key);
                 stmts.setSetting.run(key, JSON.stringify(value));
+                recordHistory(req, { entity: 'setting', key, oldValue: previous ? JSON.parse(previous.value) : null, newValue: value });
             }
         });
         updateMany(updates);
+        FrenchRules.configure(readSettings());
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == Users (admin only) ==
+function validateUser({ username, password, role }, { requirePassword }) {
+    if (username !== undefined && !/^[\w.@-]{2,40}$/.test(String(username).trim())) {
+        return 'Identifiant invalide (2 à 40 caractères : lettres, chiffres, . _ @ -)';
+    }
+    if ((requirePassword || password) && String(password || '').length < MIN_PASSWORD_LENGTH) {
+        return `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères`;
+    }
+    if (role !== undefined && !ROLES.includes(role)) return 'Rôle inconnu';
+    return null;
+}
+
+// Employee a self-service account reads, null for the other roles
+function toUserEmployeeId(role, employeeId) {
+    return role === 'employee' ? Number(employeeId) || null : null;
+}
+
+app.get('/api/users', (req, res) => {
+    try {
+        res.json(stmts.listUsers.all().map(toPublicUser));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/users', (req, res) => {
+    try {
+        const { username, password, role = 'manager', employee_id } = req.body;
+        const error = validateUser({ username: username || '', password, role }, { requirePassword: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        // The first account enables authentication: it must be able to manage the others
+        const first = !isAuthEnabled();
+        if (first && role !== 'admin') {
+            return res.status(400).json({ error: 'Le premier compte doit être administrateur' });
+        }
+        const employeeId = toUserEmployeeId(role, employee_id);
+        if (role === 'employee' && !stmts.getEmployee.get(employeeId)) {
+            return res.status(400).json({ error: 'Un compte employé doit être rattaché à un employé existant' });
+        }
+        if (stmts.getUserByName.get(username.trim())) {
+            return res.status(409).json({ error: 'Ce nom d\'utilisateur existe déjà' });
+        }
+        // Accounts created by an admin get a temporary password to change at first login,
+        // except the time clock device that never leaves the kiosk page
+        const result = stmts.createUser.run(username.trim(), hashPassword(password), role, first || role === 'kiosk' ? 0 : 1, employeeId);
+        const user = stmts.getUser.get(result.lastInsertRowid);
+        recordHistory(req, { entity: 'user', key: user.id, newValue: { username: user.username, role: user.role, employee_id: user.employee_id } });
+        if (!first) {
+            return res.status(201).json(toPublicUser(user));
+        }
+        // The first account is logged in right away, under a new session id as at login
+        req.session.regenerate((err) => {
+            if (err) {
+                return res.status(500).json({ error: err.message });
+            }
+            req.session.userId = user.id;
+            res.status(201).json(toPublicUser(user));
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Change the role and/or reset the password of an account
+app.put('/api/users/:id', (req, res) => {
+    try {
+        const existing = stmts.getUser.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Utilisateur non trouvé' });
+        }
+        const { role = existing.role, password, employee_id = existing.employee_id } = req.body;
+        const error = validateUser({ role, password }, { requirePassword: false });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const employeeId = toUserEmployeeId(role, employee_id);
+        if (role === 'employee' && !stmts.getEmployee.get(employeeId)) {
+            return res.status(400).json({ error: 'Un compte employé doit être rattaché à un employé existant' });
+        }
+        if (existing.role === 'admin' && role !== 'admin' && stmts.countAdmins.get().count <= 1) {
+            return res.status(400).json({ error: 'Il doit rester au moins un administrateur' });
+        }
+        const self = existing.id === req.user.id;
+        stmts.updateUser.run(
+            role,
+            password ? hashPassword(password) : existing.password_hash,
+            role === 'kiosk' ? 0 : password ? (self ? 0 : 1) : existing.must_change_password,
+            employeeId,
+            existing.id
+        );
+        const user = stmts.getUser.get(existing.id);
+        recordHistory(req, {
+            entity: 'user', key: user.id,
+            oldValue: { username: existing.username, role: existing.role, employee_id: existing.employee_id, passwordReset: false },
+            newValue: { username: user.username, role: user.role, employee_id: user.employee_id, passwordReset: !!password }
+        });
+        res.json(toPublicUser(user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/users/:id', (req, res) => {
+    try {
+        const existing = stmts.getUser.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Utilisateur non trouvé' });
+        }
+        if (existing.id === req.user.id) {
+            return res.status(400).json({ error: 'Vous ne pouvez pas supprimer votre propre compte' });
+        }
+        if (existing.role === 'admin' && stmts.countAdmins.get().count <= 1) {
+            return res.status(400).json({ error: 'Il doit rester au moins un administrateur' });
+        }
+        stmts.deleteUser.run(existing.id);
+        recordHistory(req, { entity: 'user', key: existing.id, oldValue: { username: existing.username, role: existing.role, employee_id: existing.employee_id } });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// == Own password ==
+app.put('/api/auth/password', (req, res) => {
+    try {
+        if (!req.user.id) {
+            return res.status(400).json({ error: 'Aucun compte utilisateur : l\'authentification est désactivée' });
+        }
+        const { currentPassword, newPassword } = req.body;
+        if (!verifyPassword(currentPassword || '', req.user.password_hash)) {
+            return res.status(401).json({ error: 'Mot de passe actuel incorrect' });
+        }
+        const error = validateUser({ password: newPassword }, { requirePassword: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const changePassword = db.transaction(() => {
+            stmts.updateUser.run(req.user.role, hashPassword(newPassword), 0, req.user.employee_id, req.user.id);
+            recordHistory(req, {
+                entity: 'user', key: req.user.id,
+                oldValue: { username: req.user.username, role: req.user.role, employee_id: req.user.employee_id, passwordChanged: false },
+                newValue: { username: req.user.username, role: req.user.role, employee_id: req.user.employee_id, passwordChanged: true }
+            });
+        });
+        changePassword();
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -396,6 +2192,11 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Time clock kiosk (shared device)
+app.get('/kiosk', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'kiosk.html'));
+});
+
 // SPA fallback
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -418,5 +2219,5 @@ process.on('SIGINT', () => {
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`Horamètre server running on port ${PORT}`);
     console.log(`Database: ${DB_PATH}`);
-    console.log(`Auth: ${AUTH_PASSWORD ? 'ENABLED' : 'DISABLED (no AUTH_PASSWORD set)'}`);
+    console.log(`Auth: ${isAuthEnabled() ? `ENABLED (${stmts.countUsers.get().count} user(s))` : 'DISABLED (no user account)'}`);
 });
@@ -0,0 +1,60 @@
+// Time clock punches read back through the API, on a server started with a temporary database
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const PORT = 3900 + Math.floor(Math.random() * 90);
+const BASE = `http://localhost:${PORT}`;
+let server;
+let dataDir;
+
+async function api(method, url, body) {
+    const res = await fetch(BASE + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'horametre-'));
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT, DB_PATH: path.join(dataDir, 'test.db'), AUTH_PASSWORD: '' },
+        stdio: 'ignore'
+    });
+    for (let i = 0; i < 50; i++) {
+        try {
+            await fetch(`${BASE}/health`);
+            return;
+        } catch (err) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    throw new Error('Le serveur ne démarre pas');
+});
+
+after(() => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an exit in the same minute as the entry is not counted as 24 hours', async () => {
+    const employee = (await api('POST', '/api/employees', { name: 'Test' })).body;
+    const date = '2026-03-04';
+    for (const kind of ['in', 'out']) {
+        const res = await api('POST', '/api/clock/punches', { employee_id: employee.id, date, time: '03:03', kind });
+        assert.strictEqual(res.status, 201);
+    }
+
+    const days = (await api('GET', `/api/clock/punches?start=${date}&end=${date}`)).body;
+    assert.strictEqual(days.length, 1);
+    assert.deepStrictEqual(days[0].segments, []);
+    assert.ok(days[0].anomalies.some(a => a.includes('03:03')));
+
+    const report = (await api('GET', `/api/employees/${employee.id}/report?start=${date}&end=${date}`)).body;
+    assert.strictEqual(report.totalHours, 0);
+});